@@ -6,6 +6,14 @@ export const config = {
   // Path to your Firebase service account key JSON file
   serviceAccountPath: './serviceAccountKey.json',
 
+  // Firestore emulator host:port (null = connect to the real project)
+  // Defaults to the FIRESTORE_EMULATOR_HOST environment variable when set
+  emulatorHost: process.env.FIRESTORE_EMULATOR_HOST || null,
+
+  // Project ID (null = use the one in the service account key)
+  // Required by the emulator; defaults to 'demo-firestore-export' there
+  projectId: null,
+
   // Collections to export (empty array = export ALL collections)
   // Example: ['users', 'projects', 'tickets']
   collections: [],
@@ -14,25 +22,188 @@ export const config = {
   outputDir: './output',
   jsonOutputDir: './output/json',
   sqlOutputDir: './output/sql',
+  csvOutputDir: './output/csv',
+  parquetOutputDir: './output/parquet',
+  schemaOutputDir: './output/schema',
+
+  // Compress JSON, SQL and CSV output: null (none), 'gzip', 'zstd' or 'brotli'
+  // Files get a .gz, .zst or .br extension; zstd needs Node.js 22.15 or later
+  compression: null,
+
+  // JSON settings
+  json: {
+    // 'sql' (same values as the SQL output, nested maps/arrays as JSON strings)
+    // or 'typed' (native nested JSON with $type markers - a lossless backup)
+    mode: 'sql',
+  },
 
-  // SQL Server specific settings
+  // SQLite database file for --format sqlite
+  sqliteFile: './output/export.db',
+
+  // SQL output settings
   sql: {
-    // Schema name for tables (null = no schema prefix)
+    // SQL dialect: 'mssql' (SQL Server T-SQL), 'postgres' or 'mysql' (MySQL/MariaDB)
+    dialect: 'mssql',
+
+    // SQL Server schema name for tables (null = no schema prefix)
     schema: 'dbo',
     
+    // 'replace' (DROP + CREATE, then INSERT) or 'merge' (create missing tables
+    // and columns, then update rows in place by key - keeps existing data)
+    mode: 'replace',
+
     // Whether to include CREATE TABLE statements
     includeCreateTable: true,
     
-    // Whether to include DROP TABLE IF EXISTS before CREATE
+    // Whether to include DROP TABLE IF EXISTS before CREATE (ignored when merging)
     includeDropTable: true,
     
     // Maximum NVARCHAR length before using NVARCHAR(MAX)
     maxNvarcharLength: 4000,
+
+    // Rows per INSERT statement (1 = one INSERT per row; SQL Server allows at most 1000)
+    rowsPerInsert: 1000,
+
+    // INSERT statements between GO batch separators (SQL Server)
+    insertsPerBatch: 10,
+
+    // Split a table's script into table.part001.sql, table.part002.sql, ...
+    // once a file holds this many MB of data (0 = never split)
+    maxFileSizeMB: 256,
+
+    // Relational output: nested maps become prefixed columns (address_city) and
+    // arrays become child tables (users__tags) instead of JSON text columns
+    normalize: false,
+
+    // Levels of nested maps to flatten into columns; deeper maps stay JSON text
+    normalizeDepth: 3,
+
+    // Keys and indexes, added after the data is loaded:
+    // primary key on id (root collections) or _path (subcollections)
+    primaryKeys: true,
+
+    // Foreign key from each subcollection table to its parent table
+    foreignKeys: true,
+
+    // Index on _parentId of subcollection tables
+    indexParentId: true,
+
+    // More indexed columns per normalized collection path
+    // Example: indexes: { users: ['email'], users__orders: ['status', 'createdAt'] },
+    indexes: {},
+
+    // PostgreSQL specific settings
+    postgres: {
+      // Schema name for tables (null = no schema prefix)
+      schema: 'public',
+    },
+
+    // MySQL/MariaDB specific settings
+    mysql: {
+      // Database name to prefix tables with (null = current database)
+      database: null,
+      engine: 'InnoDB',
+      charset: 'utf8mb4',
+      collation: 'utf8mb4_unicode_ci',
+    },
+  },
+
+  // CSV/TSV settings
+  csv: {
+    // Field delimiter: ',' for CSV, '\t' for TSV (written as .tsv)
+    delimiter: ',',
+
+    // File encoding: 'utf8' or 'utf16le'
+    encoding: 'utf8',
+
+    // Write a byte order mark (Excel needs one to detect UTF-8)
+    bom: false,
+
+    // Nested maps/arrays: 'json' (JSON text in one column) or 'flatten' (address_city-style columns)
+    nested: 'json',
+  },
+
+  // Parquet settings
+  parquet: {
+    // Rows buffered per row group (larger = better compression, more memory)
+    rowGroupSize: 10000,
+
+    // Column compression: 'none', 'snappy', 'gzip' or 'brotli'
+    compression: 'snappy',
+  },
+
+  // Schema reports (npm run schema, or --format schema)
+  schema: {
+    // Documents read per normalized collection path (null = scan every document)
+    sampleSize: null,
+
+    // Module the TypeScript interfaces import Timestamp, GeoPoint and
+    // DocumentReference from (e.g. 'firebase/firestore' for web apps)
+    typesModule: 'firebase-admin/firestore',
+  },
+
+  // Query filters per collection, keyed by normalized collection path
+  // ('users', or 'users__orders' for every orders subcollection under users).
+  // Where clauses are "field operator value" strings (values are typed:
+  // numbers, true/false, null, ISO dates as Timestamps) or [field, op, value].
+  // Example:
+  // queries: {
+  //   users: { where: ['status == active', 'createdAt >= 2026-01-01'], orderBy: 'createdAt desc', limit: 1000 },
+  //   users__orders: { where: [['total', '>', 100]] },
+  // },
+  queries: {},
+
+  // Field projection and redaction per collection, keyed by normalized
+  // collection path. Paths are dot-separated ('profile.phone'), '*' matches any
+  // key and arrays of maps are matched element by element. Rules are applied
+  // to the document data before any output format sees it.
+  // Example:
+  // fieldRules: {
+  //   users: {
+  //     include: ['name', 'email', 'profile', 'tokens'],  // keep only these (optional)
+  //     exclude: ['profile.internalNotes'],              // remove these
+  //     mask: {
+  //       email: 'hash',                                 // salted HMAC-SHA256
+  //       'profile.phone': { action: 'partial', keepEnd: 4 },  // "*******1234"
+  //       tokens: 'drop',                                // remove the field
+  //       'profile.birthday': 'null',                    // keep the field, empty its value
+  //     },
+  //   },
+  // },
+  fieldRules: {},
+
+  // Redaction settings
+  redaction: {
+    // Secret salt for 'hash' masks (required by them - keep it out of source control)
+    salt: process.env.EXPORT_HASH_SALT || '',
+  },
+
+  // Incremental (delta) exports
+  incremental: {
+    // Field holding each document's last-modified Timestamp, e.g. 'updatedAt'
+    // (null = full export). Documents without it are not part of a delta.
+    watermarkField: null,
+
+    // Only export documents changed at or after this ISO time
+    // (null = since the high-water mark saved by the last successful run)
+    since: null,
+  },
+
+  // Schema drift detection: every export saves the SQL column types of each
+  // table and reports added/removed fields and type changes against the last run
+  drift: {
+    // Normalized collection paths where breaking drift (a field changing to
+    // another kind of type, or disappearing) fails the export ('*' = all)
+    // Example: failOn: ['users', 'users__orders'],
+    failOn: [],
   },
 
   // Batch size for reading documents (to avoid memory issues with large collections)
   batchSize: 500,
 
+  // Maximum parallel Firestore requests (page reads and subcollection listing)
+  concurrency: 8,
+
   // Whether to continue exporting other collections if one fails
   continueOnError: true,
 
@@ -11,9 +11,14 @@
  */
 
 import { program } from 'commander';
-import { readdirSync, readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import admin from 'firebase-admin';
+import { readdirSync, writeFileSync, mkdirSync, existsSync } from 'fs';
 import { join, basename } from 'path';
 import { config } from './config.js';
+import { readTextFile, stripCompression } from './lib/compression.js';
+import { decodeTypedData } from './lib/typedValues.js';
+import { isBytes, bytesToBase64 } from './lib/transformers.js';
+import { VERSION } from './lib/version.js';
 
 // SQL Server reserved words that need quoting
 const RESERVED_WORDS = new Set([
@@ -48,7 +53,7 @@ const RESERVED_WORDS = new Set([
 program
     .name('json-to-sql')
     .description('Convert exported JSON files to SQL format')
-    .version('1.0.0')
+    .version(VERSION)
     .option('-i, --input <path>', 'Input directory with JSON files', './output/json')
     .option('-o, --output <path>', 'Output directory for SQL files', './output/sql')
     .option('--no-create-table', 'Skip CREATE TABLE statements')
@@ -160,14 +165,59 @@ function getWiderType(type1, type2) {
     return index1 > index2 ? type1 : type2;
 }
 
+// Decoded references only need their path here, so no Firestore instance is needed
+const PATH_ONLY_DB = { doc: (path) => path };
+
+/**
+ * Turn a value decoded from typed JSON (--json-mode typed) into what the SQL
+ * exporter writes: ISO timestamps, base64 bytes and plain GeoPoint objects
+ */
+function toSqlValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(toSqlValue);
+    }
+    if (typeof value === 'bigint') {
+        return Number(value);
+    }
+    if (typeof value === 'number') {
+        // NaN/Infinity have no SQL equivalent
+        return Number.isFinite(value) ? value : null;
+    }
+    if (value instanceof admin.firestore.Timestamp) {
+        return value.toDate().toISOString();
+    }
+    if (value instanceof admin.firestore.GeoPoint) {
+        return { latitude: value.latitude, longitude: value.longitude };
+    }
+    if (isBytes(value)) {
+        return bytesToBase64(value);
+    }
+    if (value !== null && typeof value === 'object') {
+        const plain = {};
+        for (const [key, val] of Object.entries(value)) {
+            plain[key] = toSqlValue(val);
+        }
+        return plain;
+    }
+    return value;
+}
+
 /**
  * Convert a single JSON file to SQL
  */
 function convertJsonToSql(inputPath, outputDir) {
-    const filename = basename(inputPath, '.json');
-    const content = JSON.parse(readFileSync(inputPath, 'utf8'));
-
-    const documents = content.documents || [];
+    const filename = basename(stripCompression(inputPath), '.json');
+    const content = JSON.parse(readTextFile(inputPath));
+
+    // Typed exports keep fields under `data`; lift them next to _id/_path
+    // and the other metadata fields
+    const documents = (content.documents || []).map((doc) => {
+        if (content.mode !== 'typed') {
+            return doc;
+        }
+        const { data, ...meta } = doc;
+        return { ...meta, id: doc._id, ...toSqlValue(decodeTypedData(data, PATH_ONLY_DB)) };
+    });
     if (documents.length === 0) {
         console.log(`   ⚠️  ${filename}: No documents, skipping`);
         return null;
@@ -245,9 +295,9 @@ async function main() {
         mkdirSync(options.output, { recursive: true });
     }
 
-    // Find JSON files
+    // Find JSON files (compressed ones are read as well)
     const jsonFiles = readdirSync(options.input)
-        .filter(f => f.endsWith('.json'))
+        .filter(f => stripCompression(f).endsWith('.json'))
         .map(f => join(options.input, f));
 
     if (jsonFiles.length === 0) {
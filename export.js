@@ -9,29 +9,109 @@
  *   npm run export                    # Export all collections (JSON + SQL)
  *   npm run export -- --collections users,projects
  *   npm run export -- --format json   # JSON only
+ *   npm run export -- --format json --json-mode typed  # Lossless JSON backup
  *   npm run export -- --format sql    # SQL only
+ *   npm run export -- --dialect postgres  # PostgreSQL instead of SQL Server
+ *   npm run export -- --format sql --normalize  # Maps as columns, arrays as child tables
+ *   npm run export -- --format sql --sql-mode merge  # Update existing tables in place
+ *   npm run export -- --format sqlite --sqlite-file out.db
+ *   npm run export -- --format csv --csv-bom --csv-nested flatten
+ *   npm run export -- --format parquet --parquet-compression gzip
+ *   npm run export -- --compress zstd  # users.json.zst, users.sql.zst, ...
+ *   npm run export -- --watermark-field updatedAt  # Only changes since the last run
+ *   npm run export -- --collection-group orders  # Every "orders" subcollection in one query
+ *   npm run export -- --fail-on-drift users,users__orders  # Fail when a field changes type
+ *   npm run export -- -c users --where "status == active" --order-by "createdAt desc" --limit 100
  *   npm run export -- --resume        # Resume from last run
+ *   npm run export -- --emulator localhost:8080 --project demo-app
  */
 
 import { program } from 'commander';
 import { existsSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
-import { join } from 'path';
+import { join, dirname } from 'path';
 import { config } from './config.js';
-import { initializeFirebase } from './lib/firebase.js';
-import { streamCollections, getRootCollections } from './lib/collector.js';
+import { initializeFirebase, getProjectId } from './lib/firebase.js';
+import { streamCollections, getRootCollections, parseFormats, DELTA_WRITER_FACTORIES } from './lib/collector.js';
+import { getDialect } from './lib/dialects.js';
+import { closeSqliteDatabase } from './lib/sqliteExporter.js';
+import { getCollectionQuery } from './lib/queries.js';
+import { getFieldRules } from './lib/fieldRules.js';
+import { PARQUET_COMPRESSION } from './lib/parquetExporter.js';
+import { diffSchemas, nextSchema, isDriftGuarded } from './lib/drift.js';
+import { writeManifest } from './lib/manifest.js';
+import { COMPRESSION, getCompression } from './lib/compression.js';
+import { VERSION } from './lib/version.js';
+
+// Recorded in manifest.json
+const TOOL = {
+    name: 'firestore-export',
+    version: VERSION,
+};
 
 // State file for resume functionality
 const STATE_FILE = '.export-state.json';
 
+// High-water marks of incremental exports, by collection
+const WATERMARK_FILE = '.export-watermarks.json';
+
+// SQL schema of every table from the last export, for drift detection
+const SCHEMA_FILE = '.export-schemas.json';
+
+// How each kind of schema change is reported
+const DRIFT_LABELS = {
+    added: { icon: '+', label: 'added' },
+    removed: { icon: '-', label: 'removed' },
+    widened: { icon: '~', label: 'widened' },
+    narrowed: { icon: '~', label: 'narrowed' },
+    changed: { icon: '✗', label: 'type changed' },
+};
+
+// How each output format is reported
+const OUTPUT_LABELS = {
+    json: { label: 'JSON file', icon: '📝' },
+    sql: { label: 'SQL file', icon: '🗄️ ' },
+    sqlite: { label: 'SQLite table', icon: '🗃️ ' },
+    csv: { label: 'CSV file', icon: '📊' },
+    parquet: { label: 'Parquet file', icon: '🧱' },
+    schema: { label: 'Schema report', icon: '📐' },
+};
+
 // CLI setup
 program
     .name('firestore-export')
     .description('Export Firestore collections with subcollections to JSON and SQL')
-    .version('1.0.0')
+    .version(VERSION)
     .option('-c, --collections <names>', 'Comma-separated list of collections to export (default: all)', '')
-    .option('-f, --format <format>', 'Output format: json, sql, or both (default: both)', 'both')
+    .option('-g, --collection-group <ids>', 'Comma-separated collection IDs to export with collection group queries (every collection with that ID, at any depth)')
+    .option('-f, --format <format>', 'Output format: json, sql, sqlite, csv, parquet, schema, both, or a comma-separated list (default: both)', 'both')
+    .option('--json-mode <mode>', 'JSON values: sql (as in the SQL output) or typed (lossless, with type markers)', config.json.mode)
+    .option('-d, --dialect <dialect>', 'SQL dialect: mssql, postgres, mysql or sqlite', config.sql.dialect)
+    .option('--sql-mode <mode>', 'SQL: replace (drop and recreate tables) or merge (update existing tables in place)', config.sql.mode)
+    .option('--normalize', 'SQL: flatten nested maps into columns and arrays into child tables')
+    .option('--normalize-depth <n>', 'Levels of nested maps to flatten with --normalize', String(config.sql.normalizeDepth))
+    .option('--no-keys', 'SQL: plain tables without primary keys, foreign keys or indexes')
+    .option('--rows-per-insert <n>', 'SQL: rows per INSERT statement (SQL Server allows at most 1000)', String(config.sql.rowsPerInsert))
+    .option('--max-file-size <mb>', 'SQL: split scripts into table.part001.sql, ... above this size in MB (0 = never)', String(config.sql.maxFileSizeMB))
+    .option('--sqlite-file <path>', 'SQLite database file for --format sqlite (default: <output>/export.db)')
+    .option('--csv-delimiter <char>', 'CSV field delimiter, or "tab" for TSV', config.csv.delimiter)
+    .option('--csv-encoding <encoding>', 'CSV file encoding: utf8 or utf16le', config.csv.encoding)
+    .option('--csv-bom', 'Write a byte order mark at the start of CSV files (for Excel)')
+    .option('--csv-nested <mode>', 'Nested maps/arrays in CSV: json or flatten', config.csv.nested)
+    .option('--parquet-compression <codec>', 'Parquet compression: none, snappy, gzip or brotli', config.parquet.compression)
+    .option('--parquet-row-group-size <rows>', 'Rows per Parquet row group', String(config.parquet.rowGroupSize))
+    .option('--compress <codec>', 'Compress JSON, SQL and CSV files: gzip, zstd or brotli (default: none)')
     .option('-k, --key <path>', 'Path to service account key JSON file', config.serviceAccountPath)
+    .option('--emulator <host:port>', 'Connect to a Firestore emulator instead of a real project (no key needed)')
+    .option('--project <id>', 'Project ID (required shape for the emulator, overrides the key file project)')
     .option('-o, --output <path>', 'Output directory', config.outputDir)
+    .option('--concurrency <n>', 'Maximum parallel Firestore requests', String(config.concurrency))
+    .option('-w, --where <clause>', 'Filter the exported collections, e.g. "status == active" (repeatable)', (value, previous) => previous.concat([value]), [])
+    .option('--order-by <field>', 'Order the exported collections, e.g. "createdAt desc" (repeatable)', (value, previous) => previous.concat([value]), [])
+    .option('--limit <n>', 'Export at most this many documents per collection')
+    .option('--watermark-field <field>', 'Export only documents changed since the last run, by this Timestamp field')
+    .option('--since <timestamp>', 'With --watermark-field: export documents changed at or after this time')
+    .option('--fail-on-drift <collections>', 'Fail when these collection paths (comma-separated, or "*") have breaking schema drift')
+    .option('--accept-drift', 'Save the new schemas as the baseline even when they have breaking drift')
     .option('-r, --resume', 'Resume from last interrupted export')
     .option('--reset', 'Clear saved state and start fresh')
     .option('-q, --quiet', 'Suppress output except errors')
@@ -42,13 +122,113 @@ const options = program.opts();
 
 // Apply CLI options to config
 if (options.quiet) config.logLevel = 'quiet';
+if (options.emulator) config.emulatorHost = options.emulator;
+if (options.dialect) config.sql.dialect = options.dialect;
+if (options.jsonMode) config.json.mode = options.jsonMode;
+if (options.sqlMode) config.sql.mode = options.sqlMode;
+if (!['replace', 'merge'].includes(config.sql.mode)) {
+    console.error(`❌ Invalid --sql-mode value: ${config.sql.mode} (expected replace or merge)`);
+    process.exit(1);
+}
+if (!['sql', 'typed'].includes(config.json.mode)) {
+    console.error(`❌ Invalid --json-mode value: ${config.json.mode} (expected sql or typed)`);
+    process.exit(1);
+}
+if (options.project) config.projectId = options.project;
+if (options.concurrency) {
+    config.concurrency = parseInt(options.concurrency, 10);
+    if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+        console.error(`❌ Invalid --concurrency value: ${options.concurrency} (expected a positive integer)`);
+        process.exit(1);
+    }
+}
 if (options.verbose) config.logLevel = 'verbose';
 if (options.output) {
     config.outputDir = options.output;
     config.jsonOutputDir = `${options.output}/json`;
     config.sqlOutputDir = `${options.output}/sql`;
+    config.csvOutputDir = `${options.output}/csv`;
+    config.parquetOutputDir = `${options.output}/parquet`;
+    config.schemaOutputDir = `${options.output}/schema`;
+    config.sqliteFile = `${options.output}/export.db`;
+}
+if (options.normalize) config.sql.normalize = true;
+if (options.normalizeDepth) {
+    config.sql.normalizeDepth = parseInt(options.normalizeDepth, 10);
+    if (!Number.isInteger(config.sql.normalizeDepth) || config.sql.normalizeDepth < 0) {
+        console.error(`❌ Invalid --normalize-depth value: ${options.normalizeDepth} (expected 0 or more)`);
+        process.exit(1);
+    }
+}
+if (options.rowsPerInsert) {
+    config.sql.rowsPerInsert = parseInt(options.rowsPerInsert, 10);
+    if (!Number.isInteger(config.sql.rowsPerInsert) || config.sql.rowsPerInsert < 1) {
+        console.error(`❌ Invalid --rows-per-insert value: ${options.rowsPerInsert} (expected a positive integer)`);
+        process.exit(1);
+    }
+}
+if (options.maxFileSize) {
+    config.sql.maxFileSizeMB = Number(options.maxFileSize);
+    if (!Number.isFinite(config.sql.maxFileSizeMB) || config.sql.maxFileSizeMB < 0) {
+        console.error(`❌ Invalid --max-file-size value: ${options.maxFileSize} (expected a size in MB, or 0)`);
+        process.exit(1);
+    }
+}
+if (options.keys === false) {
+    config.sql.primaryKeys = false;
+    config.sql.foreignKeys = false;
+    config.sql.indexParentId = false;
+    config.sql.indexes = {};
+}
+if (options.sqliteFile) config.sqliteFile = options.sqliteFile;
+if (options.csvDelimiter) {
+    config.csv.delimiter = ['tab', '\\t'].includes(options.csvDelimiter) ? '\t' : options.csvDelimiter;
+}
+if (options.csvEncoding) config.csv.encoding = options.csvEncoding;
+if (options.csvBom) config.csv.bom = true;
+if (options.csvNested) config.csv.nested = options.csvNested;
+if (!['utf8', 'utf16le'].includes(config.csv.encoding) || !['json', 'flatten'].includes(config.csv.nested)) {
+    console.error(`❌ Invalid CSV options: --csv-encoding must be utf8 or utf16le, --csv-nested must be json or flatten`);
+    process.exit(1);
+}
+if (options.parquetCompression) config.parquet.compression = options.parquetCompression;
+if (options.parquetRowGroupSize) config.parquet.rowGroupSize = parseInt(options.parquetRowGroupSize, 10);
+if (!PARQUET_COMPRESSION[config.parquet.compression] || !Number.isInteger(config.parquet.rowGroupSize) || config.parquet.rowGroupSize < 1) {
+    console.error(`❌ Invalid Parquet options: --parquet-compression must be ${Object.keys(PARQUET_COMPRESSION).join(', ')}, --parquet-row-group-size a positive integer`);
+    process.exit(1);
+}
+
+if (options.compress) config.compression = options.compress;
+if (config.compression && !COMPRESSION[config.compression]) {
+    console.error(`❌ Invalid --compress value: ${config.compression} (expected ${Object.keys(COMPRESSION).join(', ')})`);
+    process.exit(1);
 }
 
+if (options.watermarkField) config.incremental.watermarkField = options.watermarkField;
+if (options.since) config.incremental.since = options.since;
+if (config.incremental.since) {
+    if (!config.incremental.watermarkField) {
+        console.error('❌ --since needs --watermark-field (the field that holds each document\'s change time)');
+        process.exit(1);
+    }
+    if (Number.isNaN(Date.parse(config.incremental.since))) {
+        console.error(`❌ Invalid --since value: ${config.incremental.since} (expected a date/time such as 2026-01-31T00:00:00Z)`);
+        process.exit(1);
+    }
+    config.incremental.since = new Date(config.incremental.since).toISOString();
+}
+
+if (options.failOnDrift) {
+    config.drift.failOn = options.failOnDrift.split(',').map(c => c.trim()).filter(Boolean);
+}
+
+// Query options from the CLI apply to the collections named on the command line
+const cliQuery = {
+    ...(options.where.length > 0 && { where: options.where }),
+    ...(options.orderBy.length > 0 && { orderBy: options.orderBy }),
+    ...(options.limit && { limit: Number(options.limit) }),
+};
+
 /**
  * Load saved export state
  */
@@ -70,6 +250,40 @@ function saveState(state) {
     writeFileSync(STATE_FILE, JSON.stringify(state, null, 2), 'utf8');
 }
 
+/**
+ * Options that decide how documents are written to the output files
+ * A resumed run appends to files started with these, so they must not change
+ * @returns {object}
+ */
+function outputOptions() {
+    return {
+        dialect: config.sql.dialect,
+        jsonMode: config.json.mode,
+        sqlMode: config.sql.mode,
+        normalize: config.sql.normalize ? { depth: config.sql.normalizeDepth } : false,
+        batchSize: config.batchSize,
+        sql: {
+            rowsPerInsert: config.sql.rowsPerInsert,
+            insertsPerBatch: config.sql.insertsPerBatch,
+            maxFileSizeMB: config.sql.maxFileSizeMB,
+            primaryKeys: config.sql.primaryKeys,
+            foreignKeys: config.sql.foreignKeys,
+            indexParentId: config.sql.indexParentId,
+            indexes: config.sql.indexes,
+        },
+        csv: {
+            delimiter: config.csv.delimiter,
+            encoding: config.csv.encoding,
+            bom: config.csv.bom,
+            nested: config.csv.nested,
+        },
+        parquet: {
+            rowGroupSize: config.parquet.rowGroupSize,
+            compression: config.parquet.compression,
+        },
+    };
+}
+
 /**
  * Clear saved state
  */
@@ -80,6 +294,95 @@ function clearState() {
     }
 }
 
+/**
+ * Load the high-water marks saved by previous incremental exports
+ */
+function loadWatermarks() {
+    try {
+        if (existsSync(WATERMARK_FILE)) {
+            return JSON.parse(readFileSync(WATERMARK_FILE, 'utf8'));
+        }
+    } catch (error) {
+        console.warn('⚠️  Could not read watermark file, exporting all documents');
+    }
+    return {};
+}
+
+/**
+ * Save high-water marks for the next incremental export
+ */
+function saveWatermarks(watermarks) {
+    writeFileSync(WATERMARK_FILE, JSON.stringify(watermarks, null, 2), 'utf8');
+}
+
+/**
+ * Load the table schemas saved by the previous export
+ */
+function loadSchemas() {
+    try {
+        if (existsSync(SCHEMA_FILE)) {
+            return JSON.parse(readFileSync(SCHEMA_FILE, 'utf8'));
+        }
+    } catch (error) {
+        console.warn('⚠️  Could not read schema file, starting a new schema baseline');
+    }
+    return {};
+}
+
+/**
+ * Save table schemas for the next export to compare against
+ */
+function saveSchemas(schemas) {
+    writeFileSync(SCHEMA_FILE, JSON.stringify(schemas, null, 2), 'utf8');
+}
+
+/**
+ * Compare the schemas of an exported collection's tables with the saved ones,
+ * report the drift and update the saved schemas
+ * Tables whose breaking drift fails the export keep their old schema (unless
+ * accepted), so the next run fails again until the change is dealt with
+ * @param {Object<string, object>} exported - Column types by normalized path, from streamCollections
+ * @param {object} saved - Saved schemas (updated in place)
+ * @param {boolean} partial - Only changed documents were read
+ * @returns {string[]} Tables whose breaking drift fails the export
+ */
+function checkSchemaDrift(exported, saved, partial) {
+    const dialect = getDialect();
+    const failing = [];
+
+    for (const [normalizedPath, columns] of Object.entries(exported)) {
+        const baseline = saved[normalizedPath];
+        let schema = columns;
+
+        if (baseline && baseline.dialect === config.sql.dialect) {
+            const changes = diffSchemas(baseline.columns, columns, dialect, { partial });
+            const breaking = changes.some(change => change.breaking);
+            const guarded = breaking && isDriftGuarded(normalizedPath, config.drift.failOn);
+
+            if (changes.length > 0) {
+                console.log(`   ${breaking ? '⚠️ ' : 'ℹ️ '} Schema drift in ${normalizedPath}:`);
+                for (const { column, kind, from, to } of changes) {
+                    const { icon, label } = DRIFT_LABELS[kind];
+                    const types = kind === 'added' ? ` ${to ?? 'untyped'}`
+                        : kind === 'removed' ? ''
+                            : ` ${from ?? 'untyped'} → ${to ?? 'untyped'}`;
+                    console.log(`      ${icon} ${column}${types} (${label})`);
+                }
+            }
+
+            if (guarded && !options.acceptDrift) {
+                failing.push(normalizedPath);
+                continue;
+            }
+            schema = nextSchema(baseline.columns, columns, dialect, { partial });
+        }
+
+        saved[normalizedPath] = { dialect: config.sql.dialect, columns: schema, updatedAt: new Date().toISOString() };
+    }
+
+    return failing;
+}
+
 /**
  * Format elapsed time nicely
  */
@@ -110,7 +413,39 @@ async function main() {
         clearState();
     }
 
+    // What manifest.json records, once the export has started
+    let manifestRun = null;
+
     try {
+        // Fail fast on an unknown format or dialect (or zstd without support) before reading anything
+        const formats = parseFormats(options.format);
+        getDialect(config.sql.dialect);
+        getCompression();
+        if (config.compression && !formats.some(type => ['json', 'sql', 'csv'].includes(type))) {
+            throw new Error('--compress applies to json, sql and csv output only (Parquet files use --parquet-compression)');
+        }
+
+        const watermarkField = config.incremental.watermarkField;
+        const unsupported = formats.filter(type => !DELTA_WRITER_FACTORIES[type]);
+        if (watermarkField && unsupported.length > 0) {
+            throw new Error(`Incremental exports write ${Object.keys(DELTA_WRITER_FACTORIES).join(' and ')} change sets only ` +
+                `(not ${unsupported.join(', ')})`);
+        }
+        if (watermarkField && config.sql.normalize && formats.includes('sql')) {
+            throw new Error('SQL change sets can\'t replace child table rows - drop --normalize for incremental exports');
+        }
+        if (config.sql.mode === 'merge' && formats.includes('sql')) {
+            if (!getDialect().merge) {
+                throw new Error(`--sql-mode merge is not supported for ${config.sql.dialect} scripts (use --format sqlite to merge into a database file)`);
+            }
+            if (config.sql.normalize) {
+                throw new Error('Child table rows can\'t be merged - drop --normalize for --sql-mode merge');
+            }
+            if (getDialect().merge.keyBeforeRows && !config.sql.primaryKeys) {
+                throw new Error(`${config.sql.dialect} merges match rows on the primary key - drop --no-keys for --sql-mode merge`);
+            }
+        }
+
         // Initialize Firebase
         initializeFirebase(options.key);
 
@@ -118,15 +453,51 @@ async function main() {
         const requestedCollections = options.collections
             ? options.collections.split(',').map(c => c.trim()).filter(Boolean)
             : config.collections;
+        const collectionGroups = options.collectionGroup
+            ? options.collectionGroup.split(',').map(c => c.trim()).filter(Boolean)
+            : [];
+        const group = collectionGroups.length > 0;
+
+        if (group && options.collections) {
+            throw new Error('Use either --collections or --collection-group, not both');
+        }
+
+        // Parent tables of a collection group are not exported, so there is nothing to reference
+        if (group) {
+            config.sql.foreignKeys = false;
+        }
 
         // Get list of collections to export
-        let collectionsToExport = requestedCollections;
+        let collectionsToExport = group ? collectionGroups : requestedCollections;
         if (collectionsToExport.length === 0) {
             collectionsToExport = await getRootCollections();
         }
 
+        // Apply CLI filters, then parse every query so mistakes fail before any reads
+        if (Object.keys(cliQuery).length > 0) {
+            for (const name of collectionsToExport) {
+                config.queries[name] = { ...config.queries[name], ...cliQuery };
+            }
+        }
+        for (const name of Object.keys(config.queries)) {
+            try {
+                getCollectionQuery(name);
+            } catch (error) {
+                throw new Error(`Query for ${name}: ${error.message}`);
+            }
+        }
+        for (const name of Object.keys(config.fieldRules)) {
+            try {
+                getFieldRules(name);
+            } catch (error) {
+                throw new Error(`Field rules for ${name}: ${error.message}`);
+            }
+        }
+
         // Check for resume state
         let completedCollections = new Set();
+        let inProgress = {};
+        let completedResults = {};
         let resuming = false;
 
         if (options.resume) {
@@ -136,12 +507,25 @@ async function main() {
                 const sameFormat = savedState.format === options.format;
                 const sameCollections = JSON.stringify(savedState.requestedCollections.sort()) ===
                     JSON.stringify(collectionsToExport.sort());
-
-                if (sameFormat && sameCollections) {
+                const sameIncremental = JSON.stringify(savedState.incremental ?? null) ===
+                    JSON.stringify(watermarkField ? config.incremental : null);
+                const sameQueries = JSON.stringify(savedState.queries ?? {}) === JSON.stringify(config.queries);
+                const sameGroup = Boolean(savedState.collectionGroup) === group;
+                const sameFieldRules = JSON.stringify(savedState.fieldRules ?? {}) === JSON.stringify(config.fieldRules);
+                const sameCompression = (savedState.compression ?? null) === config.compression;
+                const sameOutput = JSON.stringify(savedState.output ?? null) === JSON.stringify(outputOptions());
+
+                if (sameFormat && sameCollections && sameIncremental && sameQueries && sameGroup && sameFieldRules && sameCompression && sameOutput) {
                     completedCollections = new Set(savedState.completed || []);
+                    inProgress = savedState.inProgress || {};
+                    completedResults = savedState.results || {};
                     resuming = true;
                     console.log(`📂 Resuming previous export...`);
-                    console.log(`   Already completed: ${completedCollections.size} collections\n`);
+                    console.log(`   Already completed: ${completedCollections.size} collections`);
+                    for (const [name, checkpoint] of Object.entries(inProgress)) {
+                        console.log(`   Partially exported: ${name} (${checkpoint.totalDocs.toLocaleString()} documents)`);
+                    }
+                    console.log('');
                 } else {
                     console.log('⚠️  Previous state doesn\'t match current options, starting fresh\n');
                 }
@@ -160,7 +544,7 @@ async function main() {
             return;
         }
 
-        console.log(`📋 Collections to export: ${remainingCollections.length}` +
+        console.log(`📋 ${group ? 'Collection groups' : 'Collections'} to export: ${remainingCollections.length}` +
             (resuming ? ` (${completedCollections.size} already done)` : ''));
         console.log(`   ${remainingCollections.join(', ')}\n`);
         console.log('─'.repeat(60) + '\n');
@@ -169,16 +553,66 @@ async function main() {
         const currentState = {
             format: options.format,
             requestedCollections: collectionsToExport,
+            collectionGroup: group,
             completed: Array.from(completedCollections),
+            // Per-collection checkpoints (read cursors + output positions) for partial collections
+            inProgress,
+            // Files and schemas of completed collections, for the manifest
+            results: completedResults,
+            incremental: watermarkField ? { ...config.incremental } : null,
+            queries: config.queries,
+            fieldRules: config.fieldRules,
+            compression: config.compression,
+            output: outputOptions(),
             startedAt: resuming ? loadState()?.startedAt : new Date().toISOString(),
             lastUpdated: new Date().toISOString(),
         };
 
+        // Change sets of each incremental run go to their own directory
+        const watermarks = watermarkField ? loadWatermarks() : {};
+        const schemas = loadSchemas();
+        const driftFailures = [];
+        if (watermarkField) {
+            const runId = currentState.startedAt.replace(/[-:]/g, '').replace(/\.\d+/, '');
+            const deltaDir = join(config.outputDir, 'delta', runId);
+            config.jsonOutputDir = join(deltaDir, 'json');
+            config.sqlOutputDir = join(deltaDir, 'sql');
+            console.log(`🔁 Incremental export: documents changed by ${watermarkField}`);
+            console.log(`   Change sets: ${deltaDir}\n`);
+        }
+
+        manifestRun = {
+            outputDir: watermarkField ? dirname(config.jsonOutputDir) : config.outputDir,
+            tool: TOOL,
+            projectId: getProjectId(),
+            startedAt: currentState.startedAt,
+            options: {
+                format: options.format,
+                jsonMode: config.json.mode,
+                dialect: config.sql.dialect,
+                compression: config.compression,
+                collectionGroup: group,
+                incremental: currentState.incremental,
+            },
+            dialect: config.sql.dialect,
+            collections: currentState.results,
+            errors: [],
+        };
+
+        const filtered = Object.keys(config.queries);
+        if (filtered.length > 0) {
+            console.log(`🔎 Filtered collections: ${filtered.join(', ')}\n`);
+        }
+
+        const redacted = Object.keys(config.fieldRules);
+        if (redacted.length > 0) {
+            console.log(`🛡️  Field rules: ${redacted.join(', ')}\n`);
+        }
+
         // Stats tracking
         let totalCollections = completedCollections.size;
         let totalDocuments = 0;
-        let totalJsonFiles = 0;
-        let totalSqlFiles = 0;
+        const totalFiles = Object.fromEntries(formats.map(type => [type, 0]));
         const collectionTimes = [];
 
         // Process each collection one at a time, saving immediately
@@ -193,6 +627,17 @@ async function main() {
             console.log(`\n${progress} 📁 ${collectionName}`);
             console.log('─'.repeat(40));
 
+            // Explicit --since wins; otherwise continue from the last successful run
+            // (collection groups keep their own watermark, apart from a root collection of the same name)
+            const watermarkKey = group ? `group:${collectionName}` : collectionName;
+            const saved = watermarks[watermarkKey] && watermarks[watermarkKey].field === watermarkField
+                ? watermarks[watermarkKey]
+                : null;
+            const since = config.incremental.since || (saved ? saved.watermark : null);
+            if (watermarkField) {
+                console.log(since ? `   Changes since ${since}` : '   No saved watermark - exporting all documents');
+            }
+
             try {
                 // Stream and export this collection (including subcollections)
                 const result = await streamCollections(
@@ -201,6 +646,19 @@ async function main() {
                     (status) => {
                         // Progress callback - update in place
                         process.stdout.write(`\r   ${status}`.padEnd(60));
+                    },
+                    {
+                        checkpoint: currentState.inProgress[collectionName] || null,
+                        onCheckpoint: (checkpoint) => {
+                            // Save the read position after every page
+                            currentState.inProgress[collectionName] = checkpoint;
+                            currentState.lastUpdated = new Date().toISOString();
+                            saveState(currentState);
+                        },
+                        since,
+                        // Subcollection paths queried for changes, as found by earlier runs
+                        subcollectionPaths: saved ? saved.subcollectionPaths ?? [] : [],
+                        group,
                     }
                 );
 
@@ -216,23 +674,46 @@ async function main() {
                     console.log(`   ✓ ${result.subcollections} subcollection types found`);
                 }
 
-                if (result.jsonFiles > 0) {
-                    console.log(`   ✓ ${result.jsonFiles} JSON file(s) saved`);
-                    totalJsonFiles += result.jsonFiles;
+                for (const [type, count] of Object.entries(result.files)) {
+                    if (count > 0) {
+                        console.log(`   ✓ ${count} ${OUTPUT_LABELS[type].label}(s) saved`);
+                        totalFiles[type] += count;
+                    }
                 }
 
-                if (result.sqlFiles > 0) {
-                    console.log(`   ✓ ${result.sqlFiles} SQL file(s) saved`);
-                    totalSqlFiles += result.sqlFiles;
-                }
+                driftFailures.push(...checkSchemaDrift(result.schemas, schemas, Boolean(watermarkField)));
+                saveSchemas(schemas);
 
                 console.log(`   ⏱️  ${formatTime(elapsed)}`);
 
                 totalCollections++;
                 totalDocuments += result.totalDocs;
 
+                // Next run starts from the latest change read, but never after this run
+                // started, so documents changed while it ran are exported again
+                if (watermarkField) {
+                    const next = result.watermark && result.watermark < currentState.startedAt
+                        ? result.watermark
+                        : result.watermark ? currentState.startedAt : since;
+                    if (next) {
+                        watermarks[watermarkKey] = {
+                            field: watermarkField,
+                            watermark: next,
+                            subcollectionPaths: result.subcollectionPaths,
+                            updatedAt: new Date().toISOString(),
+                        };
+                        saveWatermarks(watermarks);
+                    }
+                }
+
                 // Mark as completed and save state immediately
                 currentState.completed.push(collectionName);
+                currentState.results[collectionName] = {
+                    documents: result.totalDocs,
+                    outputs: result.outputs,
+                    schemas: result.schemas,
+                };
+                delete currentState.inProgress[collectionName];
                 currentState.lastUpdated = new Date().toISOString();
                 saveState(currentState);
 
@@ -242,6 +723,7 @@ async function main() {
                 currentState.lastUpdated = new Date().toISOString();
                 currentState.lastError = { collection: collectionName, error: error.message };
                 saveState(currentState);
+                manifestRun.errors.push({ collection: collectionName, error: error.message });
 
                 if (!config.continueOnError) {
                     console.log('\n💡 Run with --resume to continue from this point.\n');
@@ -250,6 +732,14 @@ async function main() {
             }
         }
 
+        for (const normalizedPath of driftFailures) {
+            manifestRun.errors.push({ collection: normalizedPath, error: 'Breaking schema drift' });
+        }
+
+        // The database must be closed (checkpointed) before it is hashed
+        closeSqliteDatabase();
+        const manifestPath = await writeManifest(manifestRun.outputDir, manifestRun);
+
         // Final summary
         const totalElapsed = Date.now() - startTime;
 
@@ -257,10 +747,16 @@ async function main() {
         console.log('\n✅ EXPORT COMPLETE\n');
         console.log(`   📁 Collections exported: ${totalCollections}`);
         console.log(`   📄 Total documents: ${totalDocuments.toLocaleString()}`);
-        console.log(`   📝 JSON files: ${totalJsonFiles}`);
-        console.log(`   🗄️  SQL files: ${totalSqlFiles}`);
+        for (const [type, count] of Object.entries(totalFiles)) {
+            const { label, icon } = OUTPUT_LABELS[type];
+            console.log(`   ${icon} ${label}s: ${count}`);
+        }
         console.log(`   ⏱️  Total time: ${formatTime(totalElapsed)}`);
-        console.log(`   📂 Output: ${config.outputDir}`);
+        console.log(`   📂 Output: ${watermarkField ? dirname(config.jsonOutputDir) : config.outputDir}`);
+        if (formats.includes('sqlite')) {
+            console.log(`   🗃️  SQLite database: ${config.sqliteFile}`);
+        }
+        console.log(`   🧾 Manifest: ${manifestPath}`);
 
         // Show slowest collections if verbose
         if (config.logLevel === 'verbose' && collectionTimes.length > 1) {
@@ -276,9 +772,24 @@ async function main() {
         // Clear state on successful completion
         clearState();
 
+        if (driftFailures.length > 0) {
+            console.error(`\n❌ Breaking schema drift in: ${driftFailures.join(', ')}`);
+            console.error('   Their saved schemas were kept. Fix the data, or run with --accept-drift to accept the new schemas.\n');
+            process.exit(1);
+        }
+
         console.log('\n');
 
     } catch (error) {
+        closeSqliteDatabase();
+        if (manifestRun) {
+            if (manifestRun.errors.length === 0) {
+                manifestRun.errors.push({ collection: null, error: error.message });
+            }
+            await writeManifest(manifestRun.outputDir, manifestRun).catch((manifestError) => {
+                console.error(`⚠️  Could not write the manifest: ${manifestError.message}`);
+            });
+        }
         console.error('\n❌ Export failed:', error.message);
         console.log('💡 Run with --resume to continue from where you left off.\n');
         if (config.logLevel === 'verbose') {
@@ -2,13 +2,24 @@
  * Firestore Collection Collector
  * 
  * Recursively discovers and collects all documents from collections and subcollections
- * Now with streaming export - saves files immediately as each collection is processed
+ * Now with streaming export - each page of documents is written as soon as it is read
  */
 
+import admin from 'firebase-admin';
 import { getFirestore } from './firebase.js';
 import { config } from '../config.js';
-import { exportToJson } from './jsonExporter.js';
-import { exportToSql } from './sqlExporter.js';
+import { createJsonWriter, createJsonLinesWriter } from './jsonExporter.js';
+import { createSqlWriter, createSqlDeltaWriter } from './sqlExporter.js';
+import { createSqliteWriter, openSqliteDatabase } from './sqliteExporter.js';
+import { createCsvWriter } from './csvExporter.js';
+import { createParquetWriter, loadParquet } from './parquetExporter.js';
+import { createSchemaWriter } from './schemaExporter.js';
+import { createLimiter, mapLimited } from './pool.js';
+import { encodeTypedValue, decodeTypedValue, readFieldProtos } from './typedValues.js';
+import { getCollectionQuery } from './queries.js';
+import { applyFieldRules } from './fieldRules.js';
+import { getDialect } from './dialects.js';
+import { transformDocument, mergeSchemas } from './transformers.js';
 
 /**
  * Get all root-level collection references
@@ -31,53 +42,102 @@ export async function getSubcollections(docRef) {
 }
 
 /**
- * Collect all documents from a collection (with pagination and progress)
- * @param {FirebaseFirestore.CollectionReference} collectionRef 
- * @param {function} onProgress - Progress callback
- * @returns {Promise<Array<{id: string, data: object, path: string, ref: any}>>}
+ * Read the next page of documents from a collection
+ *
+ * Pages are ordered by document ID so a cursor can be saved and resumed later.
+ * For incremental exports only documents whose watermark field is at or after
+ * `since` are read, and a collection query (config.queries / --where) adds its
+ * filters and ordering. When ordered by fields, the cursor is the last
+ * document's values for them (type-tagged so they survive a checkpoint) and ID.
+ * Collection group queries order by full document path, so their cursors
+ * hold the path instead of the ID. Document data has the field rules of its
+ * collection (config.fieldRules) applied, so every output sees the same fields.
+ * @param {FirebaseFirestore.Query} collectionRef - Collection or collection group
+ * @param {string|Array|null} startAfter - Cursor of the last document of the previous page
+ * @param {object} [options]
+ * @param {FirebaseFirestore.Timestamp|null} [options.since] - Only read documents changed at or after this time
+ * @param {object|null} [options.filters] - Parsed collection query from getCollectionQuery
+ * @param {number} [options.pageSize] - Documents to read
+ * @param {boolean} [options.group] - collectionRef is a collection group
+ * @returns {Promise<{documents: Array<{id: string, data: object, path: string, ref: any, protos?: object, watermark?: any}>, cursor: string|Array|null, done: boolean}>}
  */
-async function collectDocuments(collectionRef, onProgress) {
-    const documents = [];
-    let lastDoc = null;
-    let batchNumber = 0;
-
-    while (true) {
-        let query = collectionRef.limit(config.batchSize);
+export async function collectDocuments(collectionRef, startAfter = null, { since = null, filters = null, pageSize = config.batchSize, group = false } = {}) {
+    const watermarkField = config.incremental.watermarkField;
+    const orderBy = [];
+    let query = collectionRef;
+
+    if (since) {
+        query = query.where(watermarkField, '>=', since);
+        orderBy.push({ field: watermarkField, direction: 'asc' });
+    }
 
-        if (lastDoc) {
-            query = query.startAfter(lastDoc);
+    if (filters) {
+        for (const { field, op, value } of filters.where) {
+            query = query.where(field, op, value);
         }
+        orderBy.push(...filters.orderBy);
+    }
 
-        const snapshot = await query.get();
-
-        if (snapshot.empty) {
-            break;
-        }
+    for (const { field, direction } of orderBy) {
+        query = query.orderBy(field, direction);
+    }
 
-        for (const doc of snapshot.docs) {
-            documents.push({
-                id: doc.id,
-                data: doc.data(),
-                path: doc.ref.path,
-                ref: doc.ref,
-            });
-        }
+    // Document ID breaks ties, in the same direction as the last ordering
+    const idDirection = orderBy.length > 0 ? orderBy[orderBy.length - 1].direction : 'asc';
+    query = query
+        .orderBy(admin.firestore.FieldPath.documentId(), idDirection)
+        .limit(pageSize);
+
+    if (startAfter) {
+        query = Array.isArray(startAfter)
+            ? query.startAfter(
+                ...startAfter.slice(0, -1).map(value => decodeTypedValue(value, collectionRef.firestore)),
+                startAfter[startAfter.length - 1],
+            )
+            : query.startAfter(startAfter);
+    }
 
-        lastDoc = snapshot.docs[snapshot.docs.length - 1];
-        batchNumber++;
+    const snapshot = await query.get();
+
+    const documents = snapshot.docs.map(doc => ({
+        id: doc.id,
+        data: applyFieldRules(normalizeCollectionPath(collectionPathOf(doc.ref.path)), doc.data()),
+        path: doc.ref.path,
+        ref: doc.ref,
+        // Value protobufs of the fields: typed JSON reads integer vs double (and
+        // exact 64-bit integers) from them, as the SDK returns both as numbers
+        ...(config.json.mode === 'typed' && { protos: readFieldProtos(doc) }),
+        ...(watermarkField && { watermark: doc.get(watermarkField) }),
+    }));
+
+    const last = snapshot.empty ? null : snapshot.docs[snapshot.docs.length - 1];
+    const lastKey = last && (group ? last.ref.path : last.id);
+
+    return {
+        documents,
+        cursor: !last ? null
+            : orderBy.length > 0 ? [...orderBy.map(({ field }) => encodeTypedValue(last.get(field))), lastKey]
+                : lastKey,
+        // If we got fewer documents than the page size, we're done
+        done: snapshot.docs.length < pageSize,
+    };
+}
 
-        // Report progress
-        if (onProgress) {
-            onProgress(`Reading... ${documents.length.toLocaleString()} documents (batch ${batchNumber})`);
-        }
+/**
+ * Get the later of a saved high-water mark and a document's watermark value
+ * @param {string|null} watermark - ISO timestamp
+ * @param {any} value - Document's watermark field
+ * @returns {string|null} ISO timestamp
+ */
+function laterWatermark(watermark, value) {
+    const date = value instanceof admin.firestore.Timestamp ? value.toDate()
+        : value instanceof Date ? value
+            : null;
 
-        // If we got fewer documents than the batch size, we're done
-        if (snapshot.docs.length < config.batchSize) {
-            break;
-        }
+    if (!date || (watermark && new Date(watermark) >= date)) {
+        return watermark;
     }
-
-    return documents;
+    return date.toISOString();
 }
 
 /**
@@ -95,94 +155,457 @@ function normalizeCollectionPath(path) {
 }
 
 /**
- * Stream a collection and its subcollections, exporting immediately
+ * Get the path of the collection a document belongs to
+ * @param {string} docPath - e.g. "users/abc/orders/o1"
+ * @returns {string} e.g. "users/abc/orders"
+ */
+export function collectionPathOf(docPath) {
+    return docPath.slice(0, docPath.lastIndexOf('/'));
+}
+
+// Writer factory for each output format
+const WRITER_FACTORIES = {
+    json: createJsonWriter,
+    sql: createSqlWriter,
+    sqlite: createSqliteWriter,
+    csv: createCsvWriter,
+    parquet: createParquetWriter,
+    schema: createSchemaWriter,
+};
+
+// Change-set writers for incremental exports (formats that can express upserts)
+export const DELTA_WRITER_FACTORIES = {
+    json: createJsonLinesWriter,
+    sql: createSqlDeltaWriter,
+};
+
+/**
+ * Parse a --format value into a list of output formats
+ * 'both' means JSON + SQL; formats can also be combined with commas, e.g. "json,sqlite"
+ * @param {string} format 
+ * @returns {string[]}
+ */
+export function parseFormats(format) {
+    const formats = format === 'both'
+        ? ['json', 'sql']
+        : format.split(',').map(f => f.trim()).filter(Boolean);
+
+    for (const f of formats) {
+        if (!WRITER_FACTORIES[f]) {
+            throw new Error(`Unknown format: ${f} (expected ${Object.keys(WRITER_FACTORIES).join(', ')} or both)`);
+        }
+    }
+
+    if (formats.length === 0) {
+        throw new Error('No output format given');
+    }
+
+    return formats;
+}
+
+/**
+ * Create the output writers for a normalized collection path
+ * @param {string} normalizedPath 
+ * @param {string[]} formats - Output formats from parseFormats
+ * @param {object} resumeStates - Saved writer checkpoints by type, when resuming
+ * @returns {Array<{type: string, writer: object}>}
+ */
+function createWriters(normalizedPath, formats, resumeStates = {}) {
+    const factories = config.incremental.watermarkField ? DELTA_WRITER_FACTORIES : WRITER_FACTORIES;
+
+    return formats.map(type => ({
+        type,
+        writer: factories[type](normalizedPath, resumeStates[type]),
+    }));
+}
+
+/**
+ * Create a stack entry for a collection that has not been read yet
+ * Collections with a query limit carry the number of documents still to read
+ * @param {string} path - Collection path, or collection ID for a collection group
+ * @param {number} depth - Nesting depth (0 = root collection or collection group)
+ * @param {boolean} [group] - Read every collection with this ID (db.collectionGroup)
+ * @returns {{path: string, depth: number, startAfter: null, remaining?: number, group?: boolean}}
+ */
+function pendingCollection(path, depth, group = false) {
+    const filters = getCollectionQuery(normalizeCollectionPath(path));
+    return {
+        path,
+        depth,
+        startAfter: null,
+        ...(filters && filters.limit !== null && { remaining: filters.limit }),
+        ...(group && { group }),
+    };
+}
+
+/**
+ * Create a stack entry that reads the changed documents of one normalized
+ * subcollection path in an incremental export
+ * A collection group query on the path's collection ID, filtered on the
+ * watermark field, finds them under changed and unchanged parents alike.
+ * Documents of other paths with the same ID are dropped after reading.
+ * @param {string} normalizedPath - e.g. "users__orders"
+ * @returns {{path: string, depth: number, startAfter: null, remaining?: number, group: true, within: string}}
+ */
+function pendingChangedSubcollection(normalizedPath) {
+    const ids = normalizedPath.split('__');
+    const filters = getCollectionQuery(normalizedPath);
+    return {
+        path: ids[ids.length - 1],
+        depth: ids.length - 1,
+        startAfter: null,
+        ...(filters && filters.limit !== null && { remaining: filters.limit }),
+        group: true,
+        within: normalizedPath,
+    };
+}
+
+/**
+ * Capture everything needed to resume streamCollections after this point
  * @param {string} collectionName - Root collection name
- * @param {string} format - 'json', 'sql', or 'both'
+ * @param {object} results - Running totals
+ * @param {Array<{path: string, depth: number, startAfter: string|Array|null, remaining?: number, group?: boolean, within?: string}>} stack - Pending collections
+ * @param {Map<string, Array<{type: string, writer: object}>>} writersByPath - Open writers
+ * @returns {Promise<object>} JSON-serializable checkpoint
+ */
+async function createCheckpoint(collectionName, results, stack, writersByPath) {
+    const outputs = {};
+
+    for (const [normalizedPath, writers] of writersByPath) {
+        outputs[normalizedPath] = {};
+        for (const { type, writer } of writers) {
+            outputs[normalizedPath][type] = await writer.checkpoint();
+        }
+    }
+
+    return {
+        collection: collectionName,
+        totalDocs: results.totalDocs,
+        subcollections: results.subcollections,
+        watermark: results.watermark,
+        schemas: results.schemas,
+        subcollectionPaths: results.subcollectionPaths,
+        stack: stack.map(item => ({ ...item })),
+        outputs,
+    };
+}
+
+/**
+ * Stream a collection and its subcollections, writing each page as it is read
+ *
+ * Work is kept on a stack of collection paths with read cursors. After a page
+ * is written, the rest of that collection is pushed back followed by the
+ * subcollections found on the page, so child collections finish before the
+ * next parent page is read. Memory stays bounded by page size and nesting
+ * depth instead of growing with the size of the collection tree.
+ *
+ * Up to `config.concurrency` workers take pages from the stack, and every
+ * Firestore request (page reads and subcollection listing) shares the same
+ * limit. Each page is committed - written, its cursor and children pushed -
+ * one at a time, so output files and checkpoints never see half a page.
+ *
+ * After every page the stack (with each path's cursor and remaining limit) and the
+ * output file positions are passed to `onCheckpoint`. Passing that checkpoint
+ * back in resumes the walk at the same cursor and appends to the same files.
+ *
+ * With `config.incremental.watermarkField` set, every collection in the walk is
+ * read from `options.since` on and change-set writers are used. The latest
+ * watermark value read is returned as `watermark`. A changed document can sit
+ * under a parent that did not change, so instead of walking every parent, each
+ * subcollection path in `options.subcollectionPaths` (normalized, as returned
+ * by an earlier run) is read with a collection group query on its collection
+ * ID and the watermark filter. Only changed documents are listed for
+ * subcollections, to find paths not seen before. Every normalized
+ * subcollection path read is returned as `subcollectionPaths`.
+ *
+ * With `options.group`, `collectionName` is a collection ID read with one
+ * paginated collection group query instead of walking every parent. Each
+ * document still goes to the table of its normalized collection path
+ * (e.g. "users__orders"), and subcollections under the documents are walked
+ * as usual, except nested collections with the group's ID, which the group
+ * query already returns.
+ *
+ * The SQL schema of every normalized path (column types merged over all
+ * documents read, as for a non-normalized SQL table) is returned as `schemas`,
+ * whatever the output formats, so exports can be checked for schema drift.
+ *
+ * Every output finished is listed in `outputs` with the files it wrote (a
+ * writer with more than one file, such as a split SQL script, lists them in
+ * `files`, with the documents of each in `fileDocuments`) and its document
+ * count, for the export manifest.
+ *
+ * With `options.sample`, at most that many documents are read per normalized
+ * collection path (e.g. across every "users__orders" subcollection), so the
+ * schema command can look at part of a large collection tree.
+ * @param {string} collectionName - Root collection name (collection ID with options.group)
+ * @param {string} format - 'json', 'sql', 'sqlite', 'csv', 'parquet', 'schema', 'both', or a comma-separated list
  * @param {function} onProgress - Progress callback
- * @returns {Promise<{totalDocs: number, subcollections: number, jsonFiles: number, sqlFiles: number}>}
+ * @param {object} [options]
+ * @param {object|null} [options.checkpoint] - Checkpoint saved by a previous, interrupted run
+ * @param {function} [options.onCheckpoint] - Called with a serializable checkpoint after each page
+ * @param {number} [options.concurrency] - Maximum parallel Firestore requests
+ * @param {string|null} [options.since] - ISO timestamp; only export documents changed at or after it
+ * @param {string[]} [options.subcollectionPaths] - With options.since: normalized subcollection paths found by earlier runs
+ * @param {boolean} [options.group] - Export every collection with this ID (collection group query)
+ * @param {number|null} [options.sample] - Read at most this many documents per normalized collection path
+ * @returns {Promise<{totalDocs: number, subcollections: number, files: Object<string, number>, outputs: Array<{type: string, collection: string, files: string[], documents: number, fileDocuments?: number[]}>, watermark: string|null, schemas: Object<string, object>, subcollectionPaths: string[]}>} Outputs written, by format
  */
-export async function streamCollections(collectionName, format = 'both', onProgress = () => { }) {
+export async function streamCollections(collectionName, format = 'both', onProgress = () => { }, options = {}) {
+    const {
+        checkpoint = null,
+        onCheckpoint = () => { },
+        concurrency = config.concurrency,
+        since = null,
+        subcollectionPaths = [],
+        group = false,
+        sample = null,
+    } = options;
     const db = getFirestore();
+    const dialect = getDialect();
+    const formats = parseFormats(format);
+    const sinceTimestamp = since ? admin.firestore.Timestamp.fromDate(new Date(since)) : null;
     const results = {
-        totalDocs: 0,
-        subcollections: 0,
-        jsonFiles: 0,
-        sqlFiles: 0,
+        totalDocs: checkpoint ? checkpoint.totalDocs : 0,
+        subcollections: checkpoint ? checkpoint.subcollections : 0,
+        files: Object.fromEntries(formats.map(type => [type, 0])),
+        outputs: [],
+        watermark: checkpoint ? checkpoint.watermark ?? null : null,
+        schemas: checkpoint ? checkpoint.schemas ?? {} : {},
+        subcollectionPaths: checkpoint ? checkpoint.subcollectionPaths ?? [] : [...subcollectionPaths],
     };
 
-    // Map to accumulate documents by normalized path
-    const documentsByPath = new Map();
+    // Open writers by normalized path
+    const writersByPath = new Map();
 
-    // Queue for processing - start with root collection
-    const queue = [{ path: collectionName, depth: 0 }];
-    const processedPaths = new Set();
+    // Stack of collections still to read - start with root collection
+    // (incremental exports also query every known subcollection path for changes)
+    const stack = checkpoint
+        ? checkpoint.stack.map(item => ({ ...item }))
+        : [
+            ...(sinceTimestamp ? results.subcollectionPaths.map(pendingChangedSubcollection).reverse() : []),
+            pendingCollection(collectionName, 0, group),
+        ];
 
-    while (queue.length > 0) {
-        const { path, depth } = queue.shift();
+    // Pages being read but not yet committed
+    const inFlight = new Set();
 
-        if (processedPaths.has(path)) continue;
-        processedPaths.add(path);
+    // Documents read or being read per normalized path, with options.sample
+    const sampled = new Map();
 
-        const collectionRef = db.collection(path);
-        onProgress(`Collecting: ${path}`);
+    // Shared limit for Firestore requests, and a one-at-a-time lock for commits
+    const limit = createLimiter(concurrency);
+    const commit = createLimiter(1);
 
-        // Collect documents in this collection
-        const documents = await collectDocuments(collectionRef, onProgress);
+    let failure = null;
+
+    // Idle workers wait here until a commit may have pushed new work
+    let notify;
+    let workAvailable = new Promise(resolve => { notify = resolve; });
+    const signalWork = () => {
+        notify();
+        workAvailable = new Promise(resolve => { notify = resolve; });
+    };
+
+    /**
+     * Read one page of a collection, find its subcollections, then commit it
+     * An item `within` a normalized path keeps only the documents of that path.
+     */
+    async function processPage(item) {
+        const { path, depth, startAfter, remaining, within } = item;
+        const sampleKey = within ?? normalizeCollectionPath(path);
+        const filters = getCollectionQuery(sampleKey);
+        let pageSize = remaining === undefined ? config.batchSize : Math.min(config.batchSize, remaining);
+        const source = item.group ? db.collectionGroup(path) : db.collection(path);
+
+        // Reserve the page's share of the sample before reading, so parallel pages can't overshoot it
+        if (sample !== null) {
+            const taken = sampled.get(sampleKey) || 0;
+            pageSize = Math.max(0, Math.min(pageSize, sample - taken));
+            sampled.set(sampleKey, taken + pageSize);
+        }
+
+        const page = pageSize === 0
+            ? { documents: [], cursor: null, done: true }
+            : await limit(() => collectDocuments(source, startAfter, {
+                since: sinceTimestamp,
+                filters,
+                pageSize,
+                group: Boolean(item.group),
+            }));
+        const { cursor, done } = page;
+
+        // The collection group query also returns collections with the same ID elsewhere
+        const documents = within
+            ? page.documents.filter(doc => normalizeCollectionPath(collectionPathOf(doc.path)) === within)
+            : page.documents;
+
+        if (sample !== null) {
+            sampled.set(sampleKey, sampled.get(sampleKey) - (pageSize - page.documents.length));
+        }
 
-        if (documents.length > 0) {
-            results.totalDocs += documents.length;
+        // Check for subcollections on each document (only changed ones in incremental exports)
+        const subcollectionNames = await mapLimited(documents, limit, doc => getSubcollections(doc.ref));
 
-            // Group by normalized path
-            const normalizedPath = normalizeCollectionPath(path);
-            if (!documentsByPath.has(normalizedPath)) {
-                documentsByPath.set(normalizedPath, []);
-                if (depth > 0) {
-                    results.subcollections++;
+        // Subcollections found on this page, processed before the next page
+        const childPaths = [];
+        documents.forEach((doc, i) => {
+            for (const subcollectionName of subcollectionNames[i]) {
+                if (group && subcollectionName === collectionName) continue;
+                childPaths.push(`${doc.path}/${subcollectionName}`);
+            }
+        });
+
+        await commit(async () => {
+            if (failure) return;
+
+            // Incremental exports read each subcollection path once, with a
+            // collection group query, and only for paths not already queried
+            const children = [];
+            for (const childPath of childPaths) {
+                if (!sinceTimestamp) {
+                    children.push(pendingCollection(childPath, depth + 1));
+                    continue;
+                }
+                const normalizedChild = normalizeCollectionPath(childPath);
+                if (!results.subcollectionPaths.includes(normalizedChild)) {
+                    results.subcollectionPaths.push(normalizedChild);
+                    children.push(pendingChangedSubcollection(normalizedChild));
                 }
             }
 
-            // Add documents (without ref for storage)
-            documentsByPath.get(normalizedPath).push(
-                ...documents.map(({ id, data, path }) => ({ id, data, path }))
-            );
+            if (documents.length > 0) {
+                results.totalDocs += documents.length;
+
+                // Group by normalized path (a collection group page can span several)
+                const pageByPath = new Map();
+                for (const doc of documents) {
+                    const normalizedPath = normalizeCollectionPath(collectionPathOf(doc.path));
+                    if (!pageByPath.has(normalizedPath)) {
+                        pageByPath.set(normalizedPath, []);
+                    }
+                    pageByPath.get(normalizedPath).push(doc);
+                }
 
-            // Check for subcollections on each document
-            for (let i = 0; i < documents.length; i++) {
-                const doc = documents[i];
-                onProgress(`Checking subcollections... ${i + 1}/${documents.length}`);
+                for (const [normalizedPath, pathDocuments] of pageByPath) {
+                    if (!writersByPath.has(normalizedPath)) {
+                        writersByPath.set(normalizedPath, createWriters(normalizedPath, formats));
+                        if (normalizedPath !== collectionName) {
+                            results.subcollections++;
+                        }
+                    }
 
-                const subcollections = await getSubcollections(doc.ref);
+                    // Remembered so later incremental runs query it for changes
+                    if (depth > 0 && !results.subcollectionPaths.includes(normalizedPath)) {
+                        results.subcollectionPaths.push(normalizedPath);
+                    }
 
-                for (const subcollectionName of subcollections) {
-                    const subcollectionPath = `${doc.path}/${subcollectionName}`;
-                    if (!processedPaths.has(subcollectionPath)) {
-                        queue.push({ path: subcollectionPath, depth: depth + 1 });
+                    for (const { writer } of writersByPath.get(normalizedPath)) {
+                        await writer.write(pathDocuments);
                     }
+
+                    results.schemas[normalizedPath] = mergeSchemas([
+                        results.schemas[normalizedPath] || {},
+                        ...pathDocuments.map(doc => transformDocument(doc.id, doc.data, dialect).schema),
+                    ], dialect);
+                }
+
+                for (const doc of documents) {
+                    results.watermark = laterWatermark(results.watermark, doc.watermark);
                 }
             }
-        }
+
+            inFlight.delete(item);
+
+            // Rest of this collection goes below its children on the stack
+            if (!done && remaining !== documents.length) {
+                stack.push({
+                    ...item,
+                    startAfter: cursor,
+                    ...(remaining !== undefined && { remaining: remaining - documents.length }),
+                });
+            }
+
+            // Push in reverse so children are read in document order
+            stack.push(...children.reverse());
+
+            onProgress(`Reading... ${results.totalDocs.toLocaleString()} documents (${inFlight.size} pages in flight)`);
+
+            // Uncommitted pages go on top so a resumed run reads them first
+            onCheckpoint(await createCheckpoint(collectionName, results, [...stack, ...inFlight], writersByPath));
+        });
     }
 
-    // Export all accumulated documents immediately
-    for (const [normalizedPath, documents] of documentsByPath) {
-        if (documents.length === 0) continue;
+    async function worker() {
+        while (!failure) {
+            const item = stack.pop();
 
-        onProgress(`Saving: ${normalizedPath} (${documents.length.toLocaleString()} docs)`);
+            if (!item) {
+                // Nothing queued - done unless another worker may still push children
+                if (inFlight.size === 0) return;
+                await workAvailable;
+                continue;
+            }
 
-        try {
-            if (format === 'json' || format === 'both') {
-                exportToJson(normalizedPath, documents, () => { });
-                results.jsonFiles++;
+            inFlight.add(item);
+            try {
+                await processPage(item);
+            } catch (error) {
+                failure = failure || error;
             }
+            signalWork();
+        }
+    }
+
+    try {
+        if (formats.includes('sqlite')) {
+            await openSqliteDatabase();
+        }
+        if (formats.includes('parquet')) {
+            await loadParquet();
+        }
 
-            if (format === 'sql' || format === 'both') {
-                exportToSql(normalizedPath, documents, () => { });
-                results.sqlFiles++;
+        // Reopen files from the checkpoint at their saved positions
+        if (checkpoint) {
+            for (const [normalizedPath, resumeStates] of Object.entries(checkpoint.outputs)) {
+                writersByPath.set(normalizedPath, createWriters(normalizedPath, formats, resumeStates));
             }
-        } catch (error) {
-            console.error(`\n   Error saving ${normalizedPath}: ${error.message}`);
-            if (!config.continueOnError) {
-                throw error;
+        }
+
+        onProgress(`Collecting: ${collectionName}`);
+        await Promise.all(Array.from({ length: concurrency }, worker));
+
+        if (failure) {
+            throw failure;
+        }
+    } catch (error) {
+        // Release open files; partial output is left as-is
+        for (const writers of writersByPath.values()) {
+            await Promise.allSettled(writers.map(({ writer }) => writer.abort()));
+        }
+        throw error;
+    }
+
+    // Finish every file now that the whole tree has been read
+    for (const [normalizedPath, writers] of writersByPath) {
+        onProgress(`Saving: ${normalizedPath}`);
+
+        for (const { type, writer } of writers) {
+            try {
+                const filepath = await writer.close(() => { });
+                results.files[type]++;
+                results.outputs.push({
+                    type,
+                    collection: normalizedPath,
+                    files: writer.files ?? [filepath],
+                    documents: writer.count,
+                    // Documents in each file, when a writer split them over several
+                    ...(writer.fileDocuments && { fileDocuments: writer.fileDocuments }),
+                });
+            } catch (error) {
+                console.error(`\n   Error saving ${normalizedPath}: ${error.message}`);
+                if (!config.continueOnError) {
+                    throw error;
+                }
             }
         }
     }
@@ -213,7 +636,15 @@ export async function collectAllData(collections = [], onProgress = console.log)
             const collectionRef = db.collection(collectionName);
 
             onProgress(`📁 Collecting: ${collectionName}`);
-            const documents = await collectDocuments(collectionRef, onProgress);
+            const documents = [];
+            let cursor = null;
+            let done = false;
+
+            while (!done) {
+                const page = await collectDocuments(collectionRef, cursor);
+                documents.push(...page.documents);
+                ({ cursor, done } = page);
+            }
 
             if (documents.length > 0) {
                 allResults.set(collectionName, documents.map(({ id, data, path }) => ({ id, data, path })));
@@ -0,0 +1,162 @@
+/**
+ * Output Compression
+ *
+ * Codecs for compressed JSON, SQL and CSV output (`--compress`), and reading
+ * of compressed export files by their extension
+ */
+
+import zlib from 'zlib';
+import { createReadStream, readFileSync } from 'fs';
+import { pipeline } from 'stream';
+import { config } from '../config.js';
+
+/**
+ * Get the zlib module with zstd support
+ * zstd was added to zlib in Node.js 22.15, so older versions fail here
+ * instead of when the first file is written
+ * @returns {typeof zlib}
+ */
+function zstdZlib() {
+    if (typeof zlib.createZstdCompress !== 'function') {
+        throw new Error(`zstd compression needs Node.js 22.15 or later (running ${process.version}) - use gzip or brotli instead`);
+    }
+    return zlib;
+}
+
+/**
+ * @typedef {object} Compression
+ * @property {string} extension - Added to the file name, e.g. ".gz"
+ * @property {function(): import('stream').Transform} createCompress - Streaming compressor
+ * @property {function(): import('stream').Transform} createDecompress - Streaming decompressor that also reads an unfinished stream
+ * @property {function(import('stream').Transform, function): void} flush - Push everything written so far to the compressor's output
+ * @property {function(Buffer): Buffer} compressSync
+ * @property {function(Buffer): Buffer} decompressSync
+ */
+
+/** @type {Object<string, Compression>} */
+export const COMPRESSION = {
+    gzip: {
+        extension: '.gz',
+        createCompress: () => zlib.createGzip(),
+        createDecompress: () => zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH }),
+        flush: (stream, callback) => stream.flush(zlib.constants.Z_SYNC_FLUSH, callback),
+        compressSync: (data) => zlib.gzipSync(data),
+        decompressSync: (data) => zlib.gunzipSync(data),
+    },
+    zstd: {
+        extension: '.zst',
+        createCompress: () => zstdZlib().createZstdCompress(),
+        createDecompress: () => zstdZlib().createZstdDecompress({ finishFlush: zlib.constants.ZSTD_e_flush }),
+        flush: (stream, callback) => stream.flush(zlib.constants.ZSTD_e_flush, callback),
+        compressSync: (data) => zstdZlib().zstdCompressSync(data),
+        decompressSync: (data) => zstdZlib().zstdDecompressSync(data),
+    },
+    brotli: {
+        extension: '.br',
+        createCompress: () => zlib.createBrotliCompress({
+            params: { [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT },
+        }),
+        createDecompress: () => zlib.createBrotliDecompress({ finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH }),
+        flush: (stream, callback) => stream.flush(zlib.constants.BROTLI_OPERATION_FLUSH, callback),
+        compressSync: (data) => zlib.brotliCompressSync(data, {
+            params: { [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT },
+        }),
+        decompressSync: (data) => zlib.brotliDecompressSync(data),
+    },
+};
+
+/**
+ * Get a compression codec by name
+ * @param {string|null} [name] - 'gzip', 'zstd', 'brotli', or null for none
+ * @returns {Compression|null}
+ */
+export function getCompression(name = config.compression) {
+    if (!name || name === 'none') {
+        return null;
+    }
+
+    const compression = COMPRESSION[name];
+    if (!compression) {
+        throw new Error(`Unknown compression: ${name} (expected ${Object.keys(COMPRESSION).join(', ')})`);
+    }
+    if (name === 'zstd') {
+        zstdZlib();
+    }
+
+    return compression;
+}
+
+/**
+ * Add the extension of the configured compression to an output file name
+ * e.g., "users.json" -> "users.json.gz"
+ * @param {string} filename
+ * @param {string|null} [compression]
+ * @returns {string}
+ */
+export function compressedName(filename, compression = config.compression) {
+    const codec = getCompression(compression);
+    return codec ? `${filename}${codec.extension}` : filename;
+}
+
+/**
+ * Get the compression of a file from its extension
+ * @param {string} filepath
+ * @returns {string|null} Compression name, or null for a plain file
+ */
+export function compressionOf(filepath) {
+    const entry = Object.entries(COMPRESSION).find(([, codec]) => filepath.endsWith(codec.extension));
+    return entry ? entry[0] : null;
+}
+
+/**
+ * Remove a compression extension from a file name
+ * e.g., "users.json.gz" -> "users.json"
+ * @param {string} filename
+ * @returns {string}
+ */
+export function stripCompression(filename) {
+    const compression = compressionOf(filename);
+    return compression ? filename.slice(0, -COMPRESSION[compression].extension.length) : filename;
+}
+
+/**
+ * Compress file content with the configured compression
+ * @param {string} content
+ * @param {string|null} [compression]
+ * @returns {string|Buffer} The content as-is without compression
+ */
+export function compressContent(content, compression = config.compression) {
+    const codec = getCompression(compression);
+    return codec ? codec.compressSync(Buffer.from(content, 'utf8')) : content;
+}
+
+/**
+ * Read a text file, decompressing it when its extension says it is compressed
+ * @param {string} filepath
+ * @returns {string}
+ */
+export function readTextFile(filepath) {
+    const compression = compressionOf(filepath);
+    if (!compression) {
+        return readFileSync(filepath, 'utf8');
+    }
+    return getCompression(compression).decompressSync(readFileSync(filepath)).toString('utf8');
+}
+
+/**
+ * Open a text file for streaming reads, decompressing it when its extension
+ * says it is compressed
+ * Destroying the returned stream also closes the file.
+ * @param {string} filepath
+ * @returns {import('stream').Readable} Stream of UTF-8 strings
+ */
+export function createTextReadStream(filepath) {
+    const input = createReadStream(filepath);
+    const compression = compressionOf(filepath);
+    if (!compression) {
+        return input.setEncoding('utf8');
+    }
+
+    // Errors also reach whoever reads the output, so the callback has nothing to do
+    return pipeline(input, getCompression(compression).createDecompress(), () => { }).setEncoding('utf8');
+}
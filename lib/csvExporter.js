@@ -0,0 +1,185 @@
+/**
+ * CSV Exporter
+ *
+ * Exports Firestore collections to CSV/TSV files for spreadsheets
+ */
+
+import { createReadStream, unlinkSync } from 'fs';
+import { createInterface } from 'readline';
+import { join } from 'path';
+import { config } from '../config.js';
+import {
+    transformDocument,
+    mergeSchemas,
+    flattenDocument,
+    sanitizeFileName,
+    extractParentId,
+    extractParentPath,
+    extractAncestorIds,
+} from './transformers.js';
+import { createFileWriter } from './fileWriter.js';
+import { defaultDialect } from './dialects.js';
+import { compressedName } from './compression.js';
+
+// RFC 4180 line ending
+const LINE_END = '\r\n';
+
+/**
+ * Transform a collected document into a CSV row and its column types
+ * Nested maps/arrays become JSON text, or prefixed columns when flattening
+ * @param {{id: string, data: object, path: string}} doc
+ * @param {import('./dialects.js').SqlDialect} [dialect] - Dialect the column types are named in
+ * @returns {{ data: object, schema: object }}
+ */
+function toCsvRow(doc, dialect = defaultDialect) {
+    const source = config.csv.nested === 'flatten'
+        ? flattenDocument(doc.data, { arrays: true })
+        : doc.data;
+    const { data, schema } = transformDocument(doc.id, source, dialect);
+
+    // Same tracking columns as the SQL output
+    data._path = doc.path;
+    schema._path = dialect.types.path;
+
+    const parentId = extractParentId(doc.path);
+    if (parentId) {
+        data._parentId = parentId;
+        schema._parentId = dialect.types.parentId;
+        data._parentPath = extractParentPath(doc.path);
+        schema._parentPath = dialect.types.path;
+
+        for (const [column, ancestorId] of Object.entries(extractAncestorIds(doc.path))) {
+            data[column] = ancestorId;
+            schema[column] = dialect.types.parentId;
+        }
+    }
+
+    return { data, schema };
+}
+
+/**
+ * Format a single CSV field (RFC 4180 quoting)
+ * Fields containing the delimiter, quotes or line breaks are quoted,
+ * with embedded quotes doubled
+ * @param {any} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function formatField(value, delimiter) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    // GeoPoints come back from the transformer as plain objects
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Format a row of values in column order
+ * @param {any[]} values
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function formatRow(values, delimiter) {
+    return values.map(value => formatField(value, delimiter)).join(delimiter) + LINE_END;
+}
+
+/**
+ * Create a streaming CSV writer for a collection
+ *
+ * The header depends on every field seen in the collection, so rows are
+ * staged as JSON lines in a `.part` file while the schema is merged. On close
+ * the header is written and each staged row is laid out in header order.
+ * @param {string} collectionName - Normalized collection name
+ * @param {{bytes: number, count: number, schema: object}|null} resumeState - Checkpoint from a previous run to append to
+ * @returns {{ filepath: string, count: number, write: function(Array): Promise<void>, checkpoint: function(): Promise<object>, close: function(function): Promise<string>, abort: function(): Promise<void> }}
+ */
+export function createCsvWriter(collectionName, resumeState = null) {
+    const { delimiter, encoding, bom } = config.csv;
+    const safeCollectionName = sanitizeFileName(collectionName);
+    const plainName = `${safeCollectionName}.${delimiter === '\t' ? 'tsv' : 'csv'}`;
+    const filename = compressedName(plainName);
+    const filepath = join(config.csvOutputDir, filename);
+    const stagingPath = join(config.csvOutputDir, `${plainName}.part`);
+
+    const staging = createFileWriter(stagingPath, { resumeAt: resumeState ? resumeState.bytes : null });
+    let mergedSchema = resumeState ? resumeState.schema : {};
+    let count = resumeState ? resumeState.count : 0;
+
+    return {
+        filepath,
+
+        get count() {
+            return count;
+        },
+
+        /**
+         * Stage a page of documents
+         * @param {Array<{id: string, data: object, path: string}>} documents
+         */
+        async write(documents) {
+            let chunk = '';
+
+            for (const doc of documents) {
+                const { data, schema } = toCsvRow(doc);
+                mergedSchema = mergeSchemas([mergedSchema, schema]);
+                chunk += JSON.stringify(data) + '\n';
+                count++;
+            }
+
+            await staging.write(chunk);
+        },
+
+        /**
+         * Flush staged rows and describe them so a later run can append to them
+         * @returns {Promise<{bytes: number, count: number, schema: object}>}
+         */
+        async checkpoint() {
+            await staging.flush();
+            return { bytes: staging.bytesWritten, count, schema: mergedSchema };
+        },
+
+        /**
+         * Write the header and the staged rows in header order
+         * @param {function} onProgress - Progress callback
+         * @returns {Promise<string>} Path to the created file
+         */
+        async close(onProgress = console.log) {
+            await staging.end();
+
+            const columns = Object.keys(mergedSchema);
+            const file = createFileWriter(filepath, { compression: config.compression });
+            const encode = (text) => Buffer.from(text, encoding);
+
+            await file.write(encode((bom ? '\uFEFF' : '') + formatRow(columns, delimiter)));
+
+            const lines = createInterface({ input: createReadStream(stagingPath, 'utf8'), crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (!line) continue;
+                const data = JSON.parse(line);
+                await file.write(encode(formatRow(columns.map(column => data[column]), delimiter)));
+            }
+
+            await file.end();
+            unlinkSync(stagingPath);
+
+            if (config.logLevel !== 'quiet') {
+                onProgress(`   📄 CSV: ${filename} (${count} rows, ${columns.length} columns)`);
+            }
+
+            return filepath;
+        },
+
+        /**
+         * Stop writing without assembling the final file (used when an export fails)
+         */
+        async abort() {
+            await staging.end();
+        },
+    };
+}
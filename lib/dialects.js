@@ -0,0 +1,612 @@
+/**
+ * SQL Dialects
+ * 
+ * SQL Server, PostgreSQL, MySQL/MariaDB and SQLite type names, quoting and statement syntax for each supported SQL target.
+ * transformValue/mergeSchemas infer column types through a dialect and
+ * sqlExporter renders DDL and INSERTs with it.
+ */
+
+import { config } from '../config.js';
+
+/**
+ * @typedef {object} SqlDialect
+ * @property {string} name - Dialect name as used by --dialect
+ * @property {object} types - SQL type for each kind of Firestore value
+ * @property {string[][]} typeCategories - Groups of types that widen into each other, narrowest first
+ * @property {function(boolean): any} booleanValue - Row value stored for a boolean
+ * @property {function(Date): string} formatTimestamp - Row value stored for a timestamp
+ * @property {function(string): string} quoteName - Quote a table/column identifier
+ * @property {function(string): string} quoteString - Render a string literal
+ * @property {function(boolean): string} booleanLiteral - Render a boolean literal
+ * @property {string} batchSeparator - Line that ends a batch ('' when the dialect has none)
+ * @property {function(string): string} qualify - Quote a table name and prefix it with the configured schema
+ * @property {function(string, string): string} dropTable - DROP statement for a table (qualified name, raw name)
+ * @property {function(): string} tableOptions - Text appended after CREATE TABLE (...)
+ * @property {function(object): object} fitColumns - Adjust merged column types to the dialect's table limits
+ * @property {function(string): boolean} indexable - Whether a column of this type can be a key or index column
+ * @property {boolean} inlineKeys - Keys must be declared in CREATE TABLE (no ALTER TABLE ADD CONSTRAINT)
+ * @property {string} primaryKeyClause - Keywords that declare a primary key
+ * @property {number} maxInsertRows - Most rows a single INSERT ... VALUES statement may hold
+ * @property {MergeStatements|null} merge - Statements for --sql-mode merge (null when a script can't express them)
+ * @property {string} preamble - Statements written at the top of every script
+ */
+
+/**
+ * Statements that update an existing table in place (--sql-mode merge)
+ * @typedef {object} MergeStatements
+ * @property {function(string, string): string} createTable - "CREATE TABLE" that is skipped when the table exists (qualified name, raw name)
+ * @property {function(string, string, string, string): string} addColumn - Add a column unless it exists (qualified name, raw name, column, type)
+ * @property {function(string, string, string, {from: string[], to: string}[]): string} widenColumn - Change a column's type to `to` when its current type is one of `from` (qualified name, raw name, column, widenings)
+ * @property {function(string, string, string, string, string): string} ensure - Run a key/index statement unless it exists (kind: 'primaryKey', 'foreignKey' or 'index'; name; qualified table; raw table; statement)
+ * @property {function(string, string[], string[], {key: string, sequence: number}): string} upsert - Merge rows into the table on a key column (qualified name, columns, rendered value lists, key column and position in the batch)
+ * @property {boolean} keyBeforeRows - The upsert needs the primary key to match rows, so it is added before the rows instead of after them
+ */
+
+// SQL Server reserved words that need quoting
+const RESERVED_WORDS = new Set([
+    'ADD', 'ALL', 'ALTER', 'AND', 'ANY', 'AS', 'ASC', 'AUTHORIZATION', 'BACKUP',
+    'BEGIN', 'BETWEEN', 'BREAK', 'BROWSE', 'BULK', 'BY', 'CASCADE', 'CASE',
+    'CHECK', 'CHECKPOINT', 'CLOSE', 'CLUSTERED', 'COALESCE', 'COLLATE', 'COLUMN',
+    'COMMIT', 'COMPUTE', 'CONSTRAINT', 'CONTAINS', 'CONTAINSTABLE', 'CONTINUE',
+    'CONVERT', 'CREATE', 'CROSS', 'CURRENT', 'CURRENT_DATE', 'CURRENT_TIME',
+    'CURRENT_TIMESTAMP', 'CURRENT_USER', 'CURSOR', 'DATABASE', 'DBCC',
+    'DEALLOCATE', 'DECLARE', 'DEFAULT', 'DELETE', 'DENY', 'DESC', 'DISK',
+    'DISTINCT', 'DISTRIBUTED', 'DOUBLE', 'DROP', 'DUMP', 'ELSE', 'END', 'ERRLVL',
+    'ESCAPE', 'EXCEPT', 'EXEC', 'EXECUTE', 'EXISTS', 'EXIT', 'EXTERNAL', 'FETCH',
+    'FILE', 'FILLFACTOR', 'FOR', 'FOREIGN', 'FREETEXT', 'FREETEXTTABLE', 'FROM',
+    'FULL', 'FUNCTION', 'GOTO', 'GRANT', 'GROUP', 'HAVING', 'HOLDLOCK', 'IDENTITY',
+    'IDENTITY_INSERT', 'IDENTITYCOL', 'IF', 'IN', 'INDEX', 'INNER', 'INSERT',
+    'INTERSECT', 'INTO', 'IS', 'JOIN', 'KEY', 'KILL', 'LEFT', 'LIKE', 'LINENO',
+    'LOAD', 'MERGE', 'NATIONAL', 'NOCHECK', 'NONCLUSTERED', 'NOT', 'NULL',
+    'NULLIF', 'OF', 'OFF', 'OFFSETS', 'ON', 'OPEN', 'OPENDATASOURCE', 'OPENQUERY',
+    'OPENROWSET', 'OPENXML', 'OPTION', 'OR', 'ORDER', 'OUTER', 'OVER', 'PERCENT',
+    'PIVOT', 'PLAN', 'PRECISION', 'PRIMARY', 'PRINT', 'PROC', 'PROCEDURE',
+    'PUBLIC', 'RAISERROR', 'READ', 'READTEXT', 'RECONFIGURE', 'REFERENCES',
+    'REPLICATION', 'RESTORE', 'RESTRICT', 'RETURN', 'REVERT', 'REVOKE', 'RIGHT',
+    'ROLLBACK', 'ROWCOUNT', 'ROWGUIDCOL', 'RULE', 'SAVE', 'SCHEMA', 'SECURITYAUDIT',
+    'SELECT', 'SEMANTICKEYPHRASETABLE', 'SEMANTICSIMILARITYDETAILSTABLE',
+    'SEMANTICSIMILARITYTABLE', 'SESSION_USER', 'SET', 'SETUSER', 'SHUTDOWN',
+    'SOME', 'STATISTICS', 'SYSTEM_USER', 'TABLE', 'TABLESAMPLE', 'TEXTSIZE',
+    'THEN', 'TO', 'TOP', 'TRAN', 'TRANSACTION', 'TRIGGER', 'TRUNCATE', 'TRY_CONVERT',
+    'TSEQUAL', 'UNION', 'UNIQUE', 'UNPIVOT', 'UPDATE', 'UPDATETEXT', 'USE', 'USER',
+    'VALUES', 'VARYING', 'VIEW', 'WAITFOR', 'WHEN', 'WHERE', 'WHILE', 'WITH',
+    'WITHIN GROUP', 'WRITETEXT', 'TYPE', 'STATUS', 'NAME', 'VALUE', 'DATA', 'LEVEL',
+    'DATE', 'TIME', 'TIMESTAMP', 'YEAR', 'MONTH', 'DAY', 'HOUR', 'MINUTE', 'SECOND',
+    'ZONE', 'FIRST', 'LAST', 'NEXT', 'PRIOR', 'ABSOLUTE', 'RELATIVE', 'ACTION'
+]);
+
+/**
+ * Check if a column name needs quoting
+ * Quotes if: reserved word, starts with number, contains special chars
+ * @param {string} name 
+ * @returns {boolean}
+ */
+function needsQuoting(name) {
+    // Reserved word
+    if (RESERVED_WORDS.has(name.toUpperCase())) {
+        return true;
+    }
+    // Starts with a number
+    if (/^\d/.test(name)) {
+        return true;
+    }
+    // Contains dots, spaces, or other special characters
+    if (/[^a-zA-Z0-9_]/.test(name)) {
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Quote a column/table name if needed
+ * @param {string} name 
+ * @returns {string}
+ */
+function quoteMssqlName(name) {
+    if (needsQuoting(name)) {
+        // Escape any brackets in the name itself
+        const escaped = name.replace(/\]/g, ']]');
+        return `[${escaped}]`;
+    }
+    return name;
+}
+
+/**
+ * Name of a SQL Server object for OBJECT_ID() and friends, escaped for an N'...' literal
+ * @param {string} name - Raw table or constraint name
+ * @returns {string} e.g. "[dbo].users"
+ */
+function mssqlObjectName(name) {
+    const schemaPrefix = config.sql.schema ? `[${config.sql.schema}].` : '';
+    return `${schemaPrefix}${name}`.replace(/'/g, "''");
+}
+
+
+/**
+ * Microsoft SQL Server (T-SQL)
+ * @type {SqlDialect}
+ */
+const mssql = {
+    name: 'mssql',
+    types: {
+        id: 'NVARCHAR(255)',
+        path: 'NVARCHAR(500)',
+        parentId: 'NVARCHAR(255)',
+        null: 'NVARCHAR(MAX)',
+        text: 'NVARCHAR(MAX)',
+        bytes: 'NVARCHAR(MAX)', // Base64 encoded string
+        timestamp: 'DATETIME2',
+        geopoint: 'NVARCHAR(100)', // Store as JSON string
+        reference: 'NVARCHAR(500)',
+        json: 'NVARCHAR(MAX)',
+        boolean: 'BIT',
+        float: 'FLOAT',
+        // Check if it fits in INT range
+        integer: (value) => (value >= -2147483648 && value <= 2147483647 ? 'INT' : 'BIGINT'),
+        string: (length) => {
+            if (length <= 50) return 'NVARCHAR(50)';
+            if (length <= 255) return 'NVARCHAR(255)';
+            if (length <= 1000) return 'NVARCHAR(1000)';
+            if (length <= 4000) return 'NVARCHAR(4000)';
+            return 'NVARCHAR(MAX)';
+        },
+    },
+    // Numeric vs string categories (mixed categories fall back to NVARCHAR(MAX))
+    typeCategories: [
+        ['BIT', 'INT', 'BIGINT', 'FLOAT'],
+        [
+            'NVARCHAR(50)',
+            'NVARCHAR(100)',
+            'NVARCHAR(255)',
+            'NVARCHAR(500)',
+            'NVARCHAR(1000)',
+            'NVARCHAR(4000)',
+            'NVARCHAR(MAX)',
+            'DATETIME2',
+        ],
+    ],
+    booleanValue: (value) => (value ? 1 : 0),
+    formatTimestamp: (date) => date.toISOString(),
+    quoteName: quoteMssqlName,
+    // Escape single quotes by doubling them
+    quoteString: (value) => `N'${value.replace(/'/g, "''")}'`,
+    booleanLiteral: (value) => (value ? '1' : '0'),
+    batchSeparator: 'GO\n',
+    qualify(tableName) {
+        const schemaPrefix = config.sql.schema ? `[${config.sql.schema}].` : '';
+        return `${schemaPrefix}${quoteMssqlName(tableName)}`;
+    },
+    dropTable(fullTableName, tableName) {
+        const objectName = mssqlObjectName(tableName);
+        let sql = '';
+
+        // Foreign keys of other tables that reference this one would block the drop
+        if (config.sql.foreignKeys) {
+            sql += `DECLARE @dropForeignKeys NVARCHAR(MAX) = N'';\n`;
+            sql += `SELECT @dropForeignKeys += N'ALTER TABLE ' + QUOTENAME(OBJECT_SCHEMA_NAME(parent_object_id)) + N'.' + ` +
+                `QUOTENAME(OBJECT_NAME(parent_object_id)) + N' DROP CONSTRAINT ' + QUOTENAME(name) + N'; '\n`;
+            sql += `    FROM sys.foreign_keys WHERE referenced_object_id = OBJECT_ID(N'${objectName}', 'U');\n`;
+            sql += `EXEC sp_executesql @dropForeignKeys;\n`;
+        }
+
+        return sql + `IF OBJECT_ID('${objectName}', 'U') IS NOT NULL\n    DROP TABLE ${fullTableName};`;
+    },
+    tableOptions: () => '',
+    fitColumns: (schema) => schema,
+    // NVARCHAR(MAX) can't be an index key
+    indexable: (sqlType) => !/\(MAX\)$/.test(sqlType),
+    inlineKeys: false,
+    // A clustered key is limited to 900 bytes, less than a _path (NVARCHAR(500), 1000 bytes);
+    // a nonclustered one may take 1700
+    primaryKeyClause: 'PRIMARY KEY NONCLUSTERED',
+    maxInsertRows: 1000, // Table value constructors are limited to 1000 rows
+    merge: {
+        createTable: (fullTableName, tableName) =>
+            `IF OBJECT_ID(N'${mssqlObjectName(tableName)}', 'U') IS NULL\nCREATE TABLE ${fullTableName}`,
+        addColumn: (fullTableName, tableName, column, sqlType) =>
+            `IF COL_LENGTH(N'${mssqlObjectName(tableName)}', N'${column.replace(/'/g, "''")}') IS NULL\n` +
+            `    ALTER TABLE ${fullTableName} ADD ${quoteMssqlName(column)} ${sqlType};`,
+        widenColumn(fullTableName, tableName, column, widenings) {
+            // Type as the dialect writes it, e.g. NVARCHAR(255) (max_length counts bytes)
+            const currentType = `(SELECT UPPER(TYPE_NAME(system_type_id)) + CASE WHEN max_length = -1 THEN '(MAX)' ` +
+                `WHEN TYPE_NAME(system_type_id) = 'nvarchar' THEN '(' + CAST(max_length / 2 AS NVARCHAR(10)) + ')' ELSE '' END ` +
+                `FROM sys.columns WHERE object_id = OBJECT_ID(N'${mssqlObjectName(tableName)}') AND name = N'${column.replace(/'/g, "''")}')`;
+            return widenings.map(({ from, to }) =>
+                `IF ${currentType} IN (${from.map(type => `N'${type}'`).join(', ')})\n` +
+                `    ALTER TABLE ${fullTableName} ALTER COLUMN ${quoteMssqlName(column)} ${to};`).join('\n');
+        },
+        ensure(kind, name, fullTableName, tableName, statement) {
+            const objectId = `OBJECT_ID(N'${mssqlObjectName(tableName)}')`;
+            const condition = {
+                primaryKey: `OBJECTPROPERTY(${objectId}, 'TableHasPrimaryKey') = 0`,
+                foreignKey: `OBJECT_ID(N'${mssqlObjectName(name)}', 'F') IS NULL`,
+                index: `NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'${name.replace(/'/g, "''")}' AND object_id = ${objectId})`,
+            }[kind];
+            return `IF ${condition}\n    ${statement}`;
+        },
+        /**
+         * Stage the rows in a temp table with the target's column types, then MERGE.
+         * A batch can't create two temp tables with the same name, so each
+         * statement in a batch gets its own
+         */
+        upsert(fullTableName, columns, valueLists, { key, sequence }) {
+            const stage = `#firestore_stage${sequence}`;
+            const on = `target.${quoteMssqlName(key)} = source.${quoteMssqlName(key)}`;
+            const columnList = columns.map(quoteMssqlName).join(', ');
+            const sourceList = columns.map(column => `source.${quoteMssqlName(column)}`).join(', ');
+            const updates = columns.filter(column => column !== key)
+                .map(column => `${quoteMssqlName(column)} = source.${quoteMssqlName(column)}`);
+
+            return `IF OBJECT_ID('tempdb..${stage}') IS NOT NULL DROP TABLE ${stage};\n` +
+                `SELECT TOP 0 * INTO ${stage} FROM ${fullTableName};\n` +
+                `INSERT INTO ${stage} (${columnList}) VALUES\n    ${valueLists.join(',\n    ')};\n` +
+                `MERGE INTO ${fullTableName} AS target\n` +
+                `USING ${stage} AS source ON ${on}\n` +
+                `WHEN MATCHED THEN UPDATE SET ${updates.join(', ')}\n` +
+                `WHEN NOT MATCHED THEN INSERT (${columnList}) VALUES (${sourceList});\n` +
+                `DROP TABLE ${stage};`;
+        },
+        keyBeforeRows: false,
+    },
+    preamble: '',
+};
+
+// Names format_type() gives types that PostgreSQL also knows by an alias
+const POSTGRES_TYPE_NAMES = { TIMESTAMPTZ: 'timestamp with time zone' };
+
+/**
+ * PostgreSQL
+ * Identifiers are always double-quoted so mixed-case field names keep their case
+ * @type {SqlDialect}
+ */
+const postgres = {
+    name: 'postgres',
+    types: {
+        id: 'TEXT',
+        path: 'TEXT',
+        parentId: 'TEXT',
+        // Nulls say nothing about the column type; untyped columns become TEXT in the DDL
+        null: null,
+        text: 'TEXT',
+        bytes: 'TEXT', // Base64 encoded string
+        timestamp: 'TIMESTAMPTZ',
+        geopoint: 'JSONB',
+        reference: 'TEXT',
+        json: 'JSONB',
+        boolean: 'BOOLEAN',
+        float: 'DOUBLE PRECISION',
+        integer: () => 'BIGINT',
+        string: () => 'TEXT',
+    },
+    // Only integers widen into doubles; any other mix falls back to TEXT
+    typeCategories: [
+        ['BIGINT', 'DOUBLE PRECISION'],
+        ['BOOLEAN'],
+        ['TIMESTAMPTZ'],
+        ['JSONB'],
+        ['TEXT'],
+    ],
+    booleanValue: (value) => value,
+    formatTimestamp: (date) => date.toISOString(),
+    quoteName: (name) => `"${name.replace(/"/g, '""')}"`,
+    // Standard-conforming strings: only single quotes need escaping
+    quoteString: (value) => `'${value.replace(/'/g, "''")}'`,
+    booleanLiteral: (value) => (value ? 'TRUE' : 'FALSE'),
+    batchSeparator: '',
+    qualify(tableName) {
+        const { schema } = config.sql.postgres;
+        return schema ? `${postgres.quoteName(schema)}.${postgres.quoteName(tableName)}` : postgres.quoteName(tableName);
+    },
+    // CASCADE also drops foreign keys of other tables that reference this one
+    dropTable: (fullTableName) => `DROP TABLE IF EXISTS ${fullTableName}${config.sql.foreignKeys ? ' CASCADE' : ''};`,
+    tableOptions: () => '',
+    fitColumns: (schema) => schema,
+    indexable: () => true,
+    inlineKeys: false,
+    primaryKeyClause: 'PRIMARY KEY',
+    maxInsertRows: Infinity,
+    merge: {
+        createTable: (fullTableName) => `CREATE TABLE IF NOT EXISTS ${fullTableName}`,
+        addColumn: (fullTableName, tableName, column, sqlType) =>
+            `ALTER TABLE ${fullTableName} ADD COLUMN IF NOT EXISTS ${postgres.quoteName(column)} ${sqlType};`,
+        widenColumn(fullTableName, tableName, column, widenings) {
+            const name = postgres.quoteName(column);
+            const currentType = `(SELECT format_type(atttypid, atttypmod) FROM pg_attribute ` +
+                `WHERE attrelid = ${postgres.quoteString(fullTableName)}::regclass AND attname = ${postgres.quoteString(column)})`;
+            const branches = widenings.map(({ from, to }, index) => {
+                const types = from.map(type => postgres.quoteString(POSTGRES_TYPE_NAMES[type] || type.toLowerCase()));
+                return `    ${index ? 'ELSIF' : 'IF'} ${currentType} IN (${types.join(', ')}) THEN\n` +
+                    `        ALTER TABLE ${fullTableName} ALTER COLUMN ${name} TYPE ${to} USING ${name}::${to};`;
+            });
+            return `DO $$ BEGIN\n${branches.join('\n')}\n    END IF;\nEND $$;`;
+        },
+        ensure(kind, name, fullTableName, tableName, statement) {
+            const table = `${postgres.quoteString(fullTableName)}::regclass`;
+            const condition = {
+                primaryKey: `NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conrelid = ${table} AND contype = 'p')`,
+                foreignKey: `NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conrelid = ${table} AND conname = ${postgres.quoteString(name)})`,
+                index: `to_regclass(${postgres.quoteString(postgres.qualify(name))}) IS NULL`,
+            }[kind];
+            return `DO $$ BEGIN\n    IF ${condition} THEN\n        ${statement}\n    END IF;\nEND $$;`;
+        },
+        // INSERT ... ON CONFLICT (PostgreSQL 9.5+) rather than MERGE (15+)
+        upsert(fullTableName, columns, valueLists, { key }) {
+            const columnList = columns.map(postgres.quoteName).join(', ');
+            const updates = columns.filter(column => column !== key)
+                .map(column => `${postgres.quoteName(column)} = EXCLUDED.${postgres.quoteName(column)}`);
+
+            return `INSERT INTO ${fullTableName} (${columnList}) VALUES\n    ${valueLists.join(',\n    ')}\n` +
+                `ON CONFLICT (${postgres.quoteName(key)}) ` +
+                (updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')};` : 'DO NOTHING;');
+        },
+        // ON CONFLICT needs a unique key on the conflict column
+        keyBeforeRows: true,
+    },
+    preamble: '',
+};
+
+// InnoDB limits: 65,535 bytes per row (VARCHAR counts its full width at
+// 4 bytes per utf8mb4 character) and 3,072 bytes per index key
+const MYSQL_MAX_ROW_BYTES = 65535;
+const MYSQL_OFF_ROW_BYTES = 12; // TEXT/JSON columns only keep a pointer in the row
+const MYSQL_FIXED_BYTES = { 'TINYINT(1)': 1, 'INT': 4, 'BIGINT': 8, 'DOUBLE': 8, 'DATETIME(6)': 8 };
+
+// COLUMN_TYPE of MySQL before 8.0.19 and MariaDB includes a display width
+const MYSQL_TYPE_NAMES = { 'INT': ['INT', 'INT(11)'], 'BIGINT': ['BIGINT', 'BIGINT(20)'] };
+
+// Columns that may be used as keys keep VARCHAR types that fit an index
+const MYSQL_KEY_COLUMNS = new Set(['id', '_path', '_parentId', '_parentPath']);
+
+/**
+ * Escape a MySQL string literal (backslash is an escape character by default)
+ * @param {string} value 
+ * @returns {string}
+ */
+function quoteMysqlString(value) {
+    const escaped = value.replace(/[\0\n\r\x1a\\']/g, (char) => ({
+        '\0': '\\0',
+        '\n': '\\n',
+        '\r': '\\r',
+        '\x1a': '\\Z',
+        '\\': '\\\\',
+        "'": "\\'",
+    })[char]);
+    return `'${escaped}'`;
+}
+
+/**
+ * information_schema condition that selects a table of the target database
+ * @param {string} tableName - Raw table name
+ * @returns {string}
+ */
+function mysqlTableCondition(tableName) {
+    const { database } = config.sql.mysql;
+    return `TABLE_SCHEMA = ${database ? quoteMysqlString(database) : 'DATABASE()'} AND TABLE_NAME = ${quoteMysqlString(tableName)}`;
+}
+
+/**
+ * Run a DDL statement only when a COUNT(*) query finds nothing
+ * MySQL has no IF NOT EXISTS for columns, keys or indexes, so the statement
+ * is picked in a variable and run as a prepared statement
+ * @param {string} countQuery 
+ * @param {string} statement 
+ * @returns {string}
+ */
+function mysqlUnless(countQuery, statement) {
+    return `SET @ddl = IF((${countQuery}) = 0, ${quoteMysqlString(statement.replace(/;$/, ''))}, 'DO 0');\n` +
+        `PREPARE ddl FROM @ddl;\nEXECUTE ddl;\nDEALLOCATE PREPARE ddl;`;
+}
+
+/**
+ * Estimate how many bytes a MySQL column takes in the row
+ * @param {string} sqlType 
+ * @returns {number}
+ */
+function mysqlRowBytes(sqlType) {
+    const varchar = /^VARCHAR\((\d+)\)$/.exec(sqlType);
+    if (varchar) {
+        return Number(varchar[1]) * 4 + 2;
+    }
+    return MYSQL_FIXED_BYTES[sqlType] ?? MYSQL_OFF_ROW_BYTES;
+}
+
+/**
+ * MySQL / MariaDB
+ * Strings up to 255 characters stay VARCHAR; longer ones go to TEXT/LONGTEXT,
+ * which live off-row, so wide Firestore documents still fit the row size limit
+ * @type {SqlDialect}
+ */
+const mysql = {
+    name: 'mysql',
+    types: {
+        id: 'VARCHAR(255)',
+        path: 'VARCHAR(500)', // 2,000 bytes - still indexable
+        parentId: 'VARCHAR(255)',
+        // Nulls say nothing about the column type; untyped columns become LONGTEXT in the DDL
+        null: null,
+        text: 'LONGTEXT',
+        bytes: 'LONGTEXT', // Base64 encoded string
+        timestamp: 'DATETIME(6)',
+        geopoint: 'JSON',
+        reference: 'VARCHAR(500)',
+        json: 'JSON',
+        boolean: 'TINYINT(1)',
+        float: 'DOUBLE',
+        integer: (value) => (value >= -2147483648 && value <= 2147483647 ? 'INT' : 'BIGINT'),
+        string: (length) => {
+            if (length <= 50) return 'VARCHAR(50)';
+            if (length <= 255) return 'VARCHAR(255)';
+            if (length <= 16383) return 'TEXT'; // 65,535 bytes of utf8mb4
+            return 'LONGTEXT';
+        },
+    },
+    typeCategories: [
+        ['TINYINT(1)', 'INT', 'BIGINT', 'DOUBLE'],
+        ['VARCHAR(50)', 'VARCHAR(255)', 'VARCHAR(500)', 'TEXT', 'LONGTEXT'],
+        ['DATETIME(6)'],
+        ['JSON'],
+    ],
+    // Booleans stay true/false so they are still booleans inside JSON columns
+    booleanValue: (value) => value,
+    // DATETIME literals take no 'T' separator or zone suffix (values are UTC)
+    formatTimestamp: (date) => date.toISOString().replace('T', ' ').replace('Z', ''),
+    quoteName: (name) => `\`${name.replace(/`/g, '``')}\``,
+    quoteString: quoteMysqlString,
+    booleanLiteral: (value) => (value ? 'TRUE' : 'FALSE'),
+    batchSeparator: '',
+    qualify(tableName) {
+        const { database } = config.sql.mysql;
+        return database ? `${mysql.quoteName(database)}.${mysql.quoteName(tableName)}` : mysql.quoteName(tableName);
+    },
+    // Foreign keys of other tables that reference this one would block the drop
+    dropTable: (fullTableName) => (config.sql.foreignKeys
+        ? `SET FOREIGN_KEY_CHECKS = 0;\nDROP TABLE IF EXISTS ${fullTableName};\nSET FOREIGN_KEY_CHECKS = 1;`
+        : `DROP TABLE IF EXISTS ${fullTableName};`),
+    tableOptions() {
+        const { engine, charset, collation } = config.sql.mysql;
+        return ` ENGINE=${engine} DEFAULT CHARSET=${charset} COLLATE=${collation}`;
+    },
+    /**
+     * Move the widest non-key VARCHAR columns to TEXT until the row fits
+     */
+    fitColumns(schema) {
+        const fitted = { ...schema };
+        let rowBytes = Object.values(fitted).reduce((total, sqlType) => total + mysqlRowBytes(sqlType || mysql.types.text), 0);
+
+        const candidates = Object.keys(fitted)
+            .filter(field => !MYSQL_KEY_COLUMNS.has(field) && /^VARCHAR\(/.test(fitted[field]))
+            .sort((a, b) => mysqlRowBytes(fitted[b]) - mysqlRowBytes(fitted[a]));
+
+        for (const field of candidates) {
+            if (rowBytes <= MYSQL_MAX_ROW_BYTES) break;
+            rowBytes -= mysqlRowBytes(fitted[field]) - MYSQL_OFF_ROW_BYTES;
+            fitted[field] = 'TEXT';
+        }
+
+        return fitted;
+    },
+    // TEXT and JSON columns can only be indexed by prefix
+    indexable: (sqlType) => !/TEXT$|^JSON$/.test(sqlType),
+    inlineKeys: false,
+    primaryKeyClause: 'PRIMARY KEY',
+    maxInsertRows: Infinity,
+    // MySQL has no MERGE, so staged rows are applied with UPDATE ... JOIN plus INSERT ... SELECT
+    merge: {
+        createTable: (fullTableName) => `CREATE TABLE IF NOT EXISTS ${fullTableName}`,
+        addColumn: (fullTableName, tableName, column, sqlType) => mysqlUnless(
+            `SELECT COUNT(*) FROM information_schema.COLUMNS WHERE ${mysqlTableCondition(tableName)} ` +
+            `AND COLUMN_NAME = ${quoteMysqlString(column)}`,
+            `ALTER TABLE ${fullTableName} ADD COLUMN ${mysql.quoteName(column)} ${sqlType}`),
+        widenColumn(fullTableName, tableName, column, widenings) {
+            const cases = widenings.map(({ from, to }) => {
+                const types = from.flatMap(type => MYSQL_TYPE_NAMES[type] || [type]).map(quoteMysqlString);
+                const statement = `ALTER TABLE ${fullTableName} MODIFY COLUMN ${mysql.quoteName(column)} ${to}`;
+                return `WHEN UPPER(COLUMN_TYPE) IN (${types.join(', ')}) THEN ${quoteMysqlString(statement)}`;
+            });
+            return `SET @ddl = COALESCE((SELECT CASE ${cases.join(' ')} ELSE 'DO 0' END ` +
+                `FROM information_schema.COLUMNS WHERE ${mysqlTableCondition(tableName)} AND COLUMN_NAME = ${quoteMysqlString(column)}), 'DO 0');\n` +
+                `PREPARE ddl FROM @ddl;\nEXECUTE ddl;\nDEALLOCATE PREPARE ddl;`;
+        },
+        ensure(kind, name, fullTableName, tableName, statement) {
+            const where = `${mysqlTableCondition(tableName)} AND `;
+            const countQuery = {
+                primaryKey: `SELECT COUNT(*) FROM information_schema.TABLE_CONSTRAINTS WHERE ${where}CONSTRAINT_TYPE = 'PRIMARY KEY'`,
+                foreignKey: `SELECT COUNT(*) FROM information_schema.TABLE_CONSTRAINTS WHERE ${where}CONSTRAINT_NAME = ${quoteMysqlString(name)}`,
+                index: `SELECT COUNT(*) FROM information_schema.STATISTICS WHERE ${where}INDEX_NAME = ${quoteMysqlString(name)}`,
+            }[kind];
+            return mysqlUnless(countQuery, statement);
+        },
+        upsert(fullTableName, columns, valueLists, { key }) {
+            const stage = mysql.qualify('firestore_stage');
+            const on = `target.${mysql.quoteName(key)} = source.${mysql.quoteName(key)}`;
+            const columnList = columns.map(mysql.quoteName).join(', ');
+            const sourceList = columns.map(column => `source.${mysql.quoteName(column)}`).join(', ');
+            const updates = columns.filter(column => column !== key)
+                .map(column => `target.${mysql.quoteName(column)} = source.${mysql.quoteName(column)}`);
+
+            return `DROP TEMPORARY TABLE IF EXISTS ${stage};\n` +
+                `CREATE TEMPORARY TABLE ${stage} LIKE ${fullTableName};\n` +
+                `INSERT INTO ${stage} (${columnList}) VALUES\n    ${valueLists.join(',\n    ')};\n` +
+                `UPDATE ${fullTableName} AS target JOIN ${stage} AS source ON ${on}\n` +
+                `    SET ${updates.join(', ')};\n` +
+                `INSERT INTO ${fullTableName} (${columnList})\n` +
+                `    SELECT ${sourceList} FROM ${stage} AS source\n` +
+                `    LEFT JOIN ${fullTableName} AS target ON ${on}\n` +
+                `    WHERE target.${mysql.quoteName(key)} IS NULL;\n` +
+                `DROP TEMPORARY TABLE ${stage};`;
+        },
+        keyBeforeRows: false,
+    },
+    preamble: 'SET NAMES utf8mb4;\n\n',
+};
+
+/**
+ * SQLite
+ * Column types only set affinity, so a few broad types are enough
+ * @type {SqlDialect}
+ */
+const sqlite = {
+    name: 'sqlite',
+    types: {
+        id: 'TEXT',
+        path: 'TEXT',
+        parentId: 'TEXT',
+        // Nulls say nothing about the column type; untyped columns become TEXT in the DDL
+        null: null,
+        text: 'TEXT',
+        bytes: 'TEXT', // Base64 encoded string
+        timestamp: 'TEXT', // ISO 8601, works with SQLite date functions
+        geopoint: 'TEXT',
+        reference: 'TEXT',
+        json: 'TEXT', // Works with SQLite JSON functions
+        boolean: 'INTEGER',
+        float: 'REAL',
+        integer: () => 'INTEGER',
+        string: () => 'TEXT',
+    },
+    typeCategories: [
+        ['INTEGER', 'REAL'],
+        ['TEXT'],
+    ],
+    booleanValue: (value) => (value ? 1 : 0),
+    formatTimestamp: (date) => date.toISOString(),
+    quoteName: (name) => `"${name.replace(/"/g, '""')}"`,
+    quoteString: (value) => `'${value.replace(/'/g, "''")}'`,
+    booleanLiteral: (value) => (value ? '1' : '0'),
+    batchSeparator: '',
+    qualify: (tableName) => sqlite.quoteName(tableName),
+    // With enforcement on, dropping a referenced table fails on its child rows
+    dropTable: (fullTableName) => (config.sql.foreignKeys
+        ? `PRAGMA foreign_keys = OFF;\nDROP TABLE IF EXISTS ${fullTableName};\nPRAGMA foreign_keys = ON;`
+        : `DROP TABLE IF EXISTS ${fullTableName};`),
+    tableOptions: () => '',
+    fitColumns: (schema) => schema,
+    indexable: () => true,
+    inlineKeys: true,
+    primaryKeyClause: 'PRIMARY KEY',
+    maxInsertRows: Infinity,
+    // A script can't add a column only when it is missing (no IF NOT EXISTS for
+    // ALTER TABLE ADD COLUMN); --format sqlite merges into the database itself
+    merge: null,
+    preamble: '',
+};
+
+const dialects = { mssql, postgres, mysql, sqlite };
+
+/**
+ * Default dialect (SQL Server), used wherever no dialect is passed
+ */
+export const defaultDialect = mssql;
+
+/**
+ * Look up a dialect by name
+ * @param {string} name - Dialect name (default: config.sql.dialect)
+ * @returns {SqlDialect}
+ */
+export function getDialect(name = config.sql.dialect) {
+    const dialect = dialects[name];
+    if (!dialect) {
+        throw new Error(`Unknown SQL dialect: ${name} (expected one of: ${Object.keys(dialects).join(', ')})`);
+    }
+    return dialect;
+}
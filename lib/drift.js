@@ -0,0 +1,94 @@
+/**
+ * Schema Drift Detection
+ *
+ * Compares the SQL schema inferred for a table in this export with the one
+ * saved by the previous export, so fields that change type are reported
+ * instead of being silently widened to the text type
+ */
+
+import { mergeSchemas } from './transformers.js';
+
+// Changes that break loads into tables created from the previous schema
+const BREAKING_CHANGES = ['changed', 'removed'];
+
+/**
+ * Classify how a column's type changed
+ * Types widen within one of the dialect's categories; moving to another
+ * category (usually the text fallback for mixed values), or to or from the
+ * timestamp type, is a type change
+ * @param {string|null} from - Previous type (null = the column only held nulls)
+ * @param {string|null} to - Current type
+ * @param {import('./dialects.js').SqlDialect} dialect
+ * @returns {'widened'|'narrowed'|'changed'}
+ */
+function classifyTypeChange(from, to, dialect) {
+    if (from === null) return 'widened';
+    if (to === null) return 'narrowed';
+
+    // SQL Server ranks DATETIME2 with its strings, but timestamps and text don't load into each other's columns
+    if (from === dialect.types.timestamp || to === dialect.types.timestamp) {
+        return 'changed';
+    }
+
+    const category = dialect.typeCategories.find(types => types.includes(from)) || [];
+    if (!category.includes(to)) {
+        return 'changed';
+    }
+    return category.indexOf(to) > category.indexOf(from) ? 'widened' : 'narrowed';
+}
+
+/**
+ * Compare a table's schema with the one saved by the previous export
+ * @param {Object<string, string|null>} previous - Column types saved by the previous export
+ * @param {Object<string, string|null>} current - Column types inferred in this export
+ * @param {import('./dialects.js').SqlDialect} dialect
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Only some documents were read (incremental export), so missing columns are not removals
+ * @returns {Array<{column: string, kind: 'added'|'removed'|'widened'|'narrowed'|'changed', from: string|null, to: string|null, breaking: boolean}>}
+ */
+export function diffSchemas(previous, current, dialect, { partial = false } = {}) {
+    const changes = [];
+    const change = (column, kind, from, to) => changes.push({ column, kind, from, to, breaking: BREAKING_CHANGES.includes(kind) });
+
+    for (const [column, type] of Object.entries(current)) {
+        if (!Object.hasOwn(previous, column)) {
+            change(column, 'added', null, type);
+        } else if (previous[column] !== type) {
+            change(column, classifyTypeChange(previous[column], type, dialect), previous[column], type);
+        }
+    }
+
+    if (!partial) {
+        for (const [column, type] of Object.entries(previous)) {
+            if (!Object.hasOwn(current, column)) {
+                change(column, 'removed', type, null);
+            }
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Get the schema to save for the next comparison
+ * A partial export only widens the saved schema; a full export replaces it
+ * @param {Object<string, string|null>} previous
+ * @param {Object<string, string|null>} current
+ * @param {import('./dialects.js').SqlDialect} dialect
+ * @param {object} [options]
+ * @param {boolean} [options.partial]
+ * @returns {Object<string, string|null>}
+ */
+export function nextSchema(previous, current, dialect, { partial = false } = {}) {
+    return partial ? mergeSchemas([previous, current], dialect) : current;
+}
+
+/**
+ * Check whether breaking drift fails the export for a table
+ * @param {string} normalizedPath - e.g. "users" or "users__orders"
+ * @param {string[]} collections - Guarded normalized paths ('*' = every table)
+ * @returns {boolean}
+ */
+export function isDriftGuarded(normalizedPath, collections) {
+    return collections.includes('*') || collections.includes(normalizedPath);
+}
@@ -0,0 +1,222 @@
+/**
+ * Export File Reader
+ *
+ * Reads exported JSON files one document at a time, so files larger than
+ * memory (or than the longest string V8 can hold) can be restored and
+ * verified. Only the outer object and its `documents` array are scanned; each
+ * document, and each other top-level field, is handed to JSON.parse on its own.
+ */
+
+import { createTextReadStream } from './compression.js';
+
+const WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+
+/**
+ * Read the top-level fields and documents of an export file in order
+ * Yields { type: 'field', name, value } for each field other than
+ * `documents`, { type: 'documents' } where the documents array starts, and
+ * { type: 'document', value } for each of its elements.
+ * @param {string} filepath - Export file, compressed or not
+ * @returns {AsyncGenerator<{type: 'field'|'documents'|'document', name?: string, value?: any}>}
+ */
+async function* readEntries(filepath) {
+    const input = createTextReadStream(filepath);
+    const chunks = input[Symbol.asyncIterator]();
+
+    let text = '';
+    let pos = 0;
+
+    const invalid = (problem) => new Error(`Not a valid export file: ${problem}`);
+
+    /**
+     * Append the next chunk of the file to `text`
+     * @returns {Promise<boolean>} false at the end of the file
+     */
+    async function more() {
+        const { value, done } = await chunks.next();
+        if (done) return false;
+        text += value;
+        return true;
+    }
+
+    /**
+     * Skip whitespace and return the next character without consuming it
+     * @returns {Promise<string|null>} null at the end of the file
+     */
+    async function peek() {
+        for (; ;) {
+            while (pos < text.length && WHITESPACE.has(text[pos])) pos++;
+            if (pos < text.length) return text[pos];
+            if (!await more()) return null;
+        }
+    }
+
+    /**
+     * Consume one of the given characters
+     * @param {string} allowed
+     * @returns {Promise<string>} The character consumed
+     */
+    async function expect(allowed) {
+        const char = await peek();
+        if (char === null || !allowed.includes(char)) {
+            throw invalid(char === null
+                ? 'file ends too early'
+                : `expected ${[...allowed].map(c => `'${c}'`).join(' or ')} but found '${char}'`);
+        }
+        pos++;
+        return char;
+    }
+
+    /**
+     * Read and parse the next JSON value
+     * @returns {Promise<any>}
+     */
+    async function readValue() {
+        if (await peek() === null) {
+            throw invalid('file ends too early');
+        }
+
+        // Drop what has been read, so only the current value is held
+        text = text.slice(pos);
+        pos = 0;
+
+        const primitive = !'{["'.includes(text[0]);
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+        let end = -1;
+        let i = 0;
+
+        scan: for (; ;) {
+            for (; i < text.length; i++) {
+                const char = text[i];
+                if (primitive) {
+                    if (char === ',' || char === '}' || char === ']' || WHITESPACE.has(char)) {
+                        end = i;
+                        break scan;
+                    }
+                } else if (inString) {
+                    if (escaped) {
+                        escaped = false;
+                    } else if (char === '\\') {
+                        escaped = true;
+                    } else if (char === '"') {
+                        inString = false;
+                        if (depth === 0) {
+                            end = i + 1;
+                            break scan;
+                        }
+                    }
+                } else if (char === '"') {
+                    inString = true;
+                } else if (char === '{' || char === '[') {
+                    depth++;
+                } else if (char === '}' || char === ']') {
+                    depth--;
+                    if (depth === 0) {
+                        end = i + 1;
+                        break scan;
+                    }
+                }
+            }
+            if (!await more()) {
+                if (!primitive) throw invalid('file ends too early');
+                end = text.length;
+                break;
+            }
+        }
+
+        const json = text.slice(0, end);
+        pos = end;
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            throw invalid(error.message);
+        }
+    }
+
+    try {
+        await expect('{');
+        if (await peek() === '}') return;
+
+        for (; ;) {
+            const name = await readValue();
+            if (typeof name !== 'string') {
+                throw invalid('expected a field name');
+            }
+            await expect(':');
+
+            if (name === 'documents' && await peek() === '[') {
+                pos++;
+                yield { type: 'documents' };
+                if (await peek() === ']') {
+                    pos++;
+                } else {
+                    do {
+                        yield { type: 'document', value: await readValue() };
+                    } while (await expect(',]') === ',');
+                }
+            } else {
+                yield { type: 'field', name, value: await readValue() };
+            }
+
+            if (await expect(',}') === '}') return;
+        }
+    } finally {
+        input.destroy();
+    }
+}
+
+/**
+ * Read the fields written before the documents array (collection, mode, ...)
+ * without reading any documents
+ * @param {string} filepath - Export file, compressed or not
+ * @returns {Promise<object>}
+ */
+export async function readExportHeader(filepath) {
+    const header = {};
+    for await (const entry of readEntries(filepath)) {
+        if (entry.type !== 'field') break;
+        header[entry.name] = entry.value;
+    }
+    return header;
+}
+
+/**
+ * Iterate over the documents of an export file
+ * @param {string} filepath - Export file, compressed or not
+ * @returns {AsyncGenerator<object>}
+ */
+export async function* readExportDocuments(filepath) {
+    for await (const entry of readEntries(filepath)) {
+        if (entry.type === 'document') {
+            yield entry.value;
+        }
+    }
+}
+
+/**
+ * Read an export file one document at a time
+ * @param {string} filepath - Export file, compressed or not
+ * @param {function(object, object): (Promise<void>|void)} onDocument - Called with each document and the fields read so far, and awaited before the next document is read
+ * @returns {Promise<object>} Every field except documents (e.g. collection, mode, count)
+ */
+export async function readExportFile(filepath, onDocument) {
+    const header = {};
+    let hasDocuments = false;
+
+    for await (const entry of readEntries(filepath)) {
+        if (entry.type === 'field') {
+            header[entry.name] = entry.value;
+        } else if (entry.type === 'documents') {
+            hasDocuments = true;
+        } else {
+            await onDocument(entry.value, header);
+        }
+    }
+
+    if (!hasDocuments) {
+        throw new Error('Not a Firestore export file (no documents array)');
+    }
+    return header;
+}
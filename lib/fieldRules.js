@@ -0,0 +1,210 @@
+/**
+ * Field Projection and Redaction
+ *
+ * Applies the include / exclude / mask rules of a collection (config.fieldRules)
+ * to document data before any exporter sees it, so every output format is
+ * redacted the same way
+ */
+
+import { createHmac } from 'crypto';
+import { config } from '../config.js';
+import { isPlainMap } from './transformers.js';
+import { encodeTypedValue } from './typedValues.js';
+
+// Mask actions: remove the field, replace it with a salted hash,
+// show only its first/last characters, or keep the field with a null value
+const MASK_ACTIONS = ['drop', 'hash', 'partial', 'null'];
+
+// Returned by an update to remove the field
+const DROP = Symbol('drop');
+
+// Compiled rules by normalized collection path
+const cache = new Map();
+
+/**
+ * Split a dotted field path such as "profile.phone" into segments
+ * @param {string} path
+ * @returns {string[]}
+ */
+function parsePath(path) {
+    const segments = String(path).split('.');
+    if (segments.some(segment => segment === '')) {
+        throw new Error(`Invalid field path: "${path}"`);
+    }
+    return segments;
+}
+
+/**
+ * Parse a mask setting ('hash', or { action: 'partial', keepEnd: 4 })
+ * @param {string} path
+ * @param {string|object} setting
+ * @returns {{ path: string[], action: string, keepStart: number, keepEnd: number, char: string }}
+ */
+function parseMask(path, setting) {
+    const options = typeof setting === 'string' ? { action: setting } : setting || {};
+
+    if (!MASK_ACTIONS.includes(options.action)) {
+        throw new Error(`Unknown mask action for "${path}": ${options.action} (expected ${MASK_ACTIONS.join(', ')})`);
+    }
+    if (options.action === 'hash' && !config.redaction.salt) {
+        throw new Error(`Hash mask for "${path}" needs a salt (set EXPORT_HASH_SALT or config.redaction.salt)`);
+    }
+
+    return {
+        path: parsePath(path),
+        action: options.action,
+        keepStart: options.keepStart ?? 0,
+        keepEnd: options.keepEnd ?? 4,
+        char: options.char ?? '*',
+    };
+}
+
+/**
+ * Parse the field rules of one collection
+ * @param {{include?: string[], exclude?: string[], mask?: Object<string, string|object>}} settings
+ * @returns {{ include: string[][]|null, exclude: string[][], mask: Array<object> }}
+ */
+export function resolveFieldRules(settings = {}) {
+    const include = (settings.include || []).map(parsePath);
+
+    return {
+        include: include.length > 0 ? include : null,
+        exclude: (settings.exclude || []).map(parsePath),
+        mask: Object.entries(settings.mask || {}).map(([path, setting]) => parseMask(path, setting)),
+    };
+}
+
+/**
+ * Get the parsed field rules for a collection from config.fieldRules
+ * @param {string} normalizedPath - e.g. "users" or "users__orders"
+ * @returns {object|null} Parsed rules, or null to export every field as is
+ */
+export function getFieldRules(normalizedPath) {
+    if (!cache.has(normalizedPath)) {
+        const settings = config.fieldRules[normalizedPath];
+        cache.set(normalizedPath, settings ? resolveFieldRules(settings) : null);
+    }
+    return cache.get(normalizedPath);
+}
+
+/**
+ * Keep only the given paths of a value
+ * Arrays are matched element by element; '*' matches any key
+ * @param {any} value
+ * @param {string[][]} paths - Remaining segments of each included path
+ * @returns {any} Projected value, or undefined when nothing is included
+ */
+function pickPaths(value, paths) {
+    if (paths.some(path => path.length === 0)) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => pickPaths(item, paths)).filter(item => item !== undefined);
+    }
+    if (!isPlainMap(value)) {
+        return undefined;
+    }
+
+    const picked = {};
+    for (const [key, child] of Object.entries(value)) {
+        const rest = paths.filter(([segment]) => segment === '*' || segment === key).map(path => path.slice(1));
+        if (rest.length === 0) continue;
+
+        const childValue = pickPaths(child, rest);
+        if (childValue !== undefined) {
+            picked[key] = childValue;
+        }
+    }
+    return picked;
+}
+
+/**
+ * Replace the values at a path, without changing the original data
+ * @param {any} value
+ * @param {string[]} segments - Remaining path segments
+ * @param {function(any): any} update - Returns the new value, or DROP to remove the field
+ * @returns {any}
+ */
+function updatePath(value, segments, update) {
+    if (Array.isArray(value)) {
+        return value.map(item => updatePath(item, segments, update));
+    }
+    if (!isPlainMap(value)) {
+        return value;
+    }
+
+    const [segment, ...rest] = segments;
+    const updated = { ...value };
+
+    for (const key of Object.keys(value)) {
+        if (segment !== '*' && segment !== key) continue;
+
+        const childValue = rest.length === 0 ? update(value[key]) : updatePath(value[key], rest, update);
+        if (childValue === DROP) {
+            delete updated[key];
+        } else {
+            updated[key] = childValue;
+        }
+    }
+    return updated;
+}
+
+/**
+ * Mask a single value
+ * @param {any} value
+ * @param {{action: string, keepStart: number, keepEnd: number, char: string}} mask
+ * @returns {any} Masked value, or DROP
+ */
+function maskValue(value, { action, keepStart, keepEnd, char }) {
+    if (action === 'drop') {
+        return DROP;
+    }
+    if (action === 'null' || value === null || value === undefined) {
+        return null;
+    }
+
+    if (action === 'hash') {
+        // Non-strings are hashed by their type-tagged JSON so equal values hash equally
+        // (numbers untagged, so hashes match those of earlier exports)
+        const text = typeof value === 'string' ? value : JSON.stringify(encodeTypedValue(value, undefined, { plainNumbers: true }));
+        return createHmac('sha256', config.redaction.salt).update(text).digest('hex');
+    }
+
+    // partial: only strings and numbers can be shown in part
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        return null;
+    }
+    const text = String(value);
+    if (text.length <= keepStart + keepEnd) {
+        return char.repeat(text.length);
+    }
+    return text.slice(0, keepStart) +
+        char.repeat(text.length - keepStart - keepEnd) +
+        text.slice(text.length - keepEnd);
+}
+
+/**
+ * Apply a collection's field rules to document data
+ * Includes are applied first, then excludes, then masks
+ * @param {string} normalizedPath - Normalized collection path of the document
+ * @param {object} data - Document data
+ * @returns {object} Projected and redacted data (the original is not changed)
+ */
+export function applyFieldRules(normalizedPath, data) {
+    const rules = getFieldRules(normalizedPath);
+    if (!rules) {
+        return data;
+    }
+
+    let result = rules.include ? pickPaths(data, rules.include) : data;
+
+    for (const path of rules.exclude) {
+        result = updatePath(result, path, () => DROP);
+    }
+
+    for (const mask of rules.mask) {
+        result = updatePath(result, mask.path, value => maskValue(value, mask));
+    }
+
+    return result;
+}
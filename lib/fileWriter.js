@@ -0,0 +1,176 @@
+/**
+ * Output File Writer
+ *
+ * Appends chunks to an output file through a write stream, waiting for the
+ * stream to drain so large exports never buffer a whole file in memory
+ */
+
+import { createReadStream, createWriteStream, mkdirSync, existsSync, renameSync, statSync, truncateSync, unlinkSync } from 'fs';
+import { dirname } from 'path';
+import { once } from 'events';
+import { getCompression } from './compression.js';
+
+/**
+ * Open a file for streaming writes
+ *
+ * With `compression`, chunks go through a streaming compressor. `bytesWritten`
+ * then counts the uncompressed bytes and `flush()` pushes everything written
+ * so far into the file, so a checkpoint can still be resumed: the file is
+ * decompressed up to `resumeAt` and compressed again into a new file.
+ * @param {string} filepath - File to create (or overwrite)
+ * @param {object} [options]
+ * @param {number|null} [options.resumeAt] - Byte offset to continue a partially written file from (uncompressed, with compression)
+ * @param {string|null} [options.compression] - 'gzip', 'zstd' or 'brotli' (the file name is used as given)
+ * @returns {{ path: string, bytesWritten: number, write: function(string|Buffer): Promise<void>, flush: function(): Promise<void>, end: function(): Promise<void> }}
+ */
+export function createFileWriter(filepath, { resumeAt = null, compression = null } = {}) {
+    const codec = getCompression(compression);
+
+    // Ensure output directory exists
+    const dir = dirname(filepath);
+    if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+    }
+
+    const resumeError = () => new Error(`Cannot resume ${filepath}: file is missing or shorter than the saved checkpoint`);
+
+    // A compressed file is rewritten from its decompressed start, read from here
+    // (kept if that is interrupted, so the next attempt reads it again)
+    const previousPath = `${filepath}.resume`;
+
+    if (resumeAt !== null && codec) {
+        if (!existsSync(previousPath)) {
+            if (!existsSync(filepath)) {
+                throw resumeError();
+            }
+            renameSync(filepath, previousPath);
+        }
+    } else if (resumeAt !== null) {
+        // Drop anything written after the last checkpoint before appending
+        const size = existsSync(filepath) ? statSync(filepath).size : -1;
+        if (size < resumeAt) {
+            throw resumeError();
+        }
+        truncateSync(filepath, resumeAt);
+    }
+
+    const stream = createWriteStream(filepath, { flags: resumeAt !== null && !codec ? 'a' : 'w' });
+    let bytesWritten = resumeAt !== null && !codec ? resumeAt : 0;
+    let streamError = null;
+    let lastWrite = Promise.resolve();
+    let lastFileWrite = Promise.resolve();
+
+    // Remember errors so the next write/end rejects instead of crashing the process
+    stream.on('error', (error) => {
+        streamError = error;
+    });
+
+    // Compressed output is written to the file as the compressor produces it
+    const compressor = codec ? codec.createCompress() : null;
+    if (compressor) {
+        compressor.on('error', (error) => {
+            streamError = error;
+        });
+        compressor.on('data', (chunk) => {
+            lastFileWrite = new Promise((resolve) => stream.write(chunk, resolve));
+        });
+        compressor.on('end', () => stream.end());
+    }
+    const target = compressor || stream;
+
+    /**
+     * Write a chunk, waiting for the streams to drain if their buffers are full
+     * @param {string|Buffer} chunk
+     */
+    async function append(chunk) {
+        if (streamError) throw streamError;
+
+        bytesWritten += Buffer.byteLength(chunk);
+        let drained = true;
+        lastWrite = new Promise((resolve) => {
+            drained = target.write(chunk, resolve);
+        });
+        if (!drained) {
+            await once(target, 'drain');
+        }
+        if (compressor && stream.writableNeedDrain) {
+            await once(stream, 'drain');
+        }
+    }
+
+    /**
+     * Copy the first `resumeAt` bytes of the previous compressed file into this one
+     * Anything after the checkpoint may be cut off mid-write, so read errors
+     * past that point are ignored
+     */
+    async function restorePrefix() {
+        const input = createReadStream(previousPath);
+        const output = codec.createDecompress();
+        input.on('error', (error) => output.destroy(error));
+        input.pipe(output);
+
+        let remaining = resumeAt;
+        try {
+            for await (const chunk of output) {
+                const piece = chunk.subarray(0, remaining);
+                await append(piece);
+                remaining -= piece.length;
+                if (remaining === 0) break;
+            }
+        } catch (error) {
+            if (remaining > 0) throw error;
+        } finally {
+            input.destroy();
+        }
+
+        if (remaining > 0) {
+            throw resumeError();
+        }
+        unlinkSync(previousPath);
+    }
+
+    const ready = resumeAt !== null && codec ? restorePrefix() : Promise.resolve();
+    // Rejections are reported by the first write, flush or end
+    ready.catch(() => { });
+
+    return {
+        path: filepath,
+
+        get bytesWritten() {
+            return bytesWritten;
+        },
+
+        /**
+         * Write a chunk, waiting for the stream to drain if its buffer is full
+         * @param {string|Buffer} chunk
+         */
+        async write(chunk) {
+            await ready;
+            await append(chunk);
+        },
+
+        /**
+         * Wait until everything written so far has reached the file
+         */
+        async flush() {
+            await ready;
+            await lastWrite;
+            if (compressor) {
+                await new Promise((resolve) => codec.flush(compressor, resolve));
+                await lastFileWrite;
+            }
+            if (streamError) throw streamError;
+        },
+
+        /**
+         * Flush and close the file
+         */
+        async end() {
+            await ready;
+            if (streamError) throw streamError;
+
+            target.end();
+            await once(stream, 'finish');
+        },
+    };
+}
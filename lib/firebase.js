@@ -7,37 +7,85 @@ import { readFileSync } from 'fs';
 import { config } from '../config.js';
 
 let db = null;
+let connectedProjectId = null;
+
+// Emulator project used when none is given ("demo-" projects never reach real services)
+const DEFAULT_EMULATOR_PROJECT_ID = 'demo-firestore-export';
 
 /**
  * Initialize Firebase Admin SDK
+ *
+ * When an emulator host is given (or FIRESTORE_EMULATOR_HOST is set) no
+ * service account is needed - the SDK connects to the emulator with just a
+ * project ID.
  * @param {string} serviceAccountPath - Path to service account JSON file
+ * @param {object} [options]
+ * @param {string|null} [options.emulatorHost] - Firestore emulator host:port
+ * @param {string|null} [options.projectId] - Project ID (required shape for the emulator, optional otherwise)
  * @returns {FirebaseFirestore.Firestore} Firestore instance
  */
-export function initializeFirebase(serviceAccountPath = config.serviceAccountPath) {
+export function initializeFirebase(serviceAccountPath = config.serviceAccountPath, options = {}) {
     if (db) {
         return db;
     }
 
+    const {
+        emulatorHost = config.emulatorHost,
+        projectId = config.projectId,
+    } = options;
+
+    if (emulatorHost) {
+        return initializeEmulator(emulatorHost, projectId);
+    }
+
     try {
         const serviceAccount = JSON.parse(readFileSync(serviceAccountPath, 'utf8'));
 
         admin.initializeApp({
             credential: admin.credential.cert(serviceAccount),
+            ...(projectId && { projectId }),
         });
 
         db = admin.firestore();
-        console.log(`✓ Connected to Firestore project: ${serviceAccount.project_id}`);
+        connectedProjectId = projectId || serviceAccount.project_id;
+        console.log(`✓ Connected to Firestore project: ${connectedProjectId}`);
 
         return db;
     } catch (error) {
         if (error.code === 'ENOENT') {
             throw new Error(`Service account file not found: ${serviceAccountPath}\n` +
-                'Please place your Firebase service account key JSON file in the project directory.');
+                'Please place your Firebase service account key JSON file in the project directory, ' +
+                'or use --emulator to connect to a local Firestore emulator.');
         }
         throw error;
     }
 }
 
+/**
+ * Connect to a Firestore emulator without credentials
+ * @param {string} emulatorHost - Emulator host:port, e.g. "localhost:8080"
+ * @param {string|null} projectId - Project ID to use inside the emulator
+ * @returns {FirebaseFirestore.Firestore}
+ */
+function initializeEmulator(emulatorHost, projectId) {
+    if (!/^[^:\s]+:\d+$/.test(emulatorHost)) {
+        throw new Error(`Invalid emulator host: ${emulatorHost} (expected host:port, e.g. localhost:8080)`);
+    }
+
+    // The Admin SDK routes all Firestore traffic to this host when the variable is set
+    process.env.FIRESTORE_EMULATOR_HOST = emulatorHost;
+
+    const emulatorProjectId = projectId || process.env.GCLOUD_PROJECT || DEFAULT_EMULATOR_PROJECT_ID;
+
+    admin.initializeApp({ projectId: emulatorProjectId });
+
+    db = admin.firestore();
+    connectedProjectId = emulatorProjectId;
+    console.log(`✓ Connected to Firestore emulator at ${emulatorHost} (project: ${emulatorProjectId})`);
+
+    return db;
+}
+
 /**
  * Get Firestore instance
  * @returns {FirebaseFirestore.Firestore}
@@ -48,3 +96,11 @@ export function getFirestore() {
     }
     return db;
 }
+
+/**
+ * Get the ID of the project Firestore is connected to
+ * @returns {string|null} null before initializeFirebase()
+ */
+export function getProjectId() {
+    return connectedProjectId;
+}
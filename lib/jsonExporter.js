@@ -7,7 +7,49 @@
 import { writeFileSync, mkdirSync, existsSync } from 'fs';
 import { join } from 'path';
 import { config } from '../config.js';
-import { transformDocument, sanitizeFileName, extractParentId } from './transformers.js';
+import { transformDocument, sanitizeFileName, extractParentId, extractParentPath, extractAncestorIds } from './transformers.js';
+import { createFileWriter } from './fileWriter.js';
+import { compressedName, compressContent } from './compression.js';
+import { encodeTypedData } from './typedValues.js';
+
+/**
+ * Transform a collected document into its JSON output shape
+ * In 'sql' mode fields hold the same values as the SQL output; in 'typed'
+ * mode the original fields are kept under `data` as type-tagged JSON
+ * @param {{id: string, data: object, path: string}} doc
+ * @param {'sql'|'typed'} [mode] - JSON mode (defaults to config.json.mode)
+ * @returns {object}
+ */
+export function toJsonDocument(doc, mode = config.json.mode) {
+    const parentId = extractParentId(doc.path);
+    const meta = {
+        _id: doc.id,
+        _path: doc.path,
+        ...(parentId && { _parentId: parentId }),  // Only add if exists
+        ...(parentId && { _parentPath: extractParentPath(doc.path) }),
+        ...extractAncestorIds(doc.path),
+    };
+
+    if (mode === 'typed') {
+        return { ...meta, data: encodeTypedData(doc.data, doc.protos) };
+    }
+
+    const { data } = transformDocument(doc.id, doc.data);
+    return { ...meta, ...data };
+}
+
+/**
+ * Metadata written at the top of a JSON file
+ * @param {string} collectionName
+ * @returns {object}
+ */
+function jsonHeader(collectionName) {
+    return {
+        collection: collectionName,  // Keep original name in metadata
+        exportedAt: new Date().toISOString(),
+        ...(config.json.mode === 'typed' && { mode: 'typed' }),
+    };
+}
 
 /**
  * Export a collection to a JSON file
@@ -26,31 +68,20 @@ export function exportToJson(collectionName, documents, onProgress = console.log
     const safeCollectionName = sanitizeFileName(collectionName);
 
     // Transform all documents
-    const transformedDocuments = documents.map(doc => {
-        const { data } = transformDocument(doc.id, doc.data);
-        const parentId = extractParentId(doc.path);
-
-        return {
-            _id: doc.id,
-            _path: doc.path,
-            ...(parentId && { _parentId: parentId }),  // Only add if exists
-            ...data,
-        };
-    });
+    const transformedDocuments = documents.map(doc => toJsonDocument(doc));
 
     // Create output
     const output = {
-        collection: collectionName,  // Keep original name in metadata
-        exportedAt: new Date().toISOString(),
+        ...jsonHeader(collectionName),
         count: transformedDocuments.length,
         documents: transformedDocuments,
     };
 
     // Write file
-    const filename = `${safeCollectionName}.json`;
+    const filename = compressedName(`${safeCollectionName}.json`);
     const filepath = join(config.jsonOutputDir, filename);
 
-    writeFileSync(filepath, JSON.stringify(output, null, 2), 'utf8');
+    writeFileSync(filepath, compressContent(JSON.stringify(output, null, 2)));
 
     if (config.logLevel !== 'quiet') {
         onProgress(`   📄 JSON: ${filename} (${transformedDocuments.length} documents)`);
@@ -59,6 +90,162 @@ export function exportToJson(collectionName, documents, onProgress = console.log
     return filepath;
 }
 
+/**
+ * Create a streaming JSON writer for a collection
+ *
+ * Documents are appended page by page inside an incrementally framed
+ * `{ collection, exportedAt, mode?, documents: [...], count }` object, so the file
+ * has the same shape as exportToJson output without holding it in memory.
+ * @param {string} collectionName - Normalized collection name
+ * @param {{bytes: number, count: number}|null} resumeState - Checkpoint from a previous run to append to
+ * @returns {{ filepath: string, count: number, write: function(Array): Promise<void>, checkpoint: function(): Promise<object>, close: function(function): Promise<string>, abort: function(): Promise<void> }}
+ */
+export function createJsonWriter(collectionName, resumeState = null) {
+    const safeCollectionName = sanitizeFileName(collectionName);
+    const filename = compressedName(`${safeCollectionName}.json`);
+    const filepath = join(config.jsonOutputDir, filename);
+
+    const file = createFileWriter(filepath, { resumeAt: resumeState ? resumeState.bytes : null, compression: config.compression });
+    let count = resumeState ? resumeState.count : 0;
+
+    // Opening frame - documents array is closed in close()
+    let pending = resumeState ? '' : '{\n' +
+        Object.entries(jsonHeader(collectionName))
+            .map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value)},\n`)
+            .join('') +
+        '  "documents": [';
+
+    return {
+        filepath,
+
+        get count() {
+            return count;
+        },
+
+        /**
+         * Append a page of documents
+         * @param {Array<{id: string, data: object, path: string}>} documents
+         */
+        async write(documents) {
+            let chunk = pending;
+            pending = '';
+
+            for (const doc of documents) {
+                const json = JSON.stringify(toJsonDocument(doc), null, 2).replace(/\n/g, '\n    ');
+                chunk += `${count > 0 ? ',' : ''}\n    ${json}`;
+                count++;
+            }
+
+            await file.write(chunk);
+        },
+
+        /**
+         * Flush written documents and describe the file so a later run can append to it
+         * @returns {Promise<{bytes: number, count: number}>}
+         */
+        async checkpoint() {
+            await file.flush();
+            return { bytes: file.bytesWritten, count };
+        },
+
+        /**
+         * Close the documents array and finish the file
+         * @param {function} onProgress - Progress callback
+         * @returns {Promise<string>} Path to the created file
+         */
+        async close(onProgress = console.log) {
+            await file.write(`${pending}${count > 0 ? '\n  ' : ''}],\n  "count": ${count}\n}\n`);
+            await file.end();
+
+            if (config.logLevel !== 'quiet') {
+                onProgress(`   📄 JSON: ${filename} (${count} documents)`);
+            }
+
+            return filepath;
+        },
+
+        /**
+         * Stop writing without finishing the file (used when an export fails)
+         */
+        async abort() {
+            await file.end();
+        },
+    };
+}
+
+/**
+ * Create a JSON Lines change-set writer for an incremental export
+ *
+ * Each changed document is written on its own line as an upsert, in the same
+ * shape as the JSON export, so consumers can apply the lines in order on top
+ * of a previous full export by `_path`.
+ * @param {string} collectionName - Normalized collection name
+ * @param {{bytes: number, count: number}|null} resumeState - Checkpoint from a previous run to append to
+ * @returns {{ filepath: string, count: number, write: function(Array): Promise<void>, checkpoint: function(): Promise<object>, close: function(function): Promise<string>, abort: function(): Promise<void> }}
+ */
+export function createJsonLinesWriter(collectionName, resumeState = null) {
+    const safeCollectionName = sanitizeFileName(collectionName);
+    const filename = compressedName(`${safeCollectionName}.jsonl`);
+    const filepath = join(config.jsonOutputDir, filename);
+
+    const file = createFileWriter(filepath, { resumeAt: resumeState ? resumeState.bytes : null, compression: config.compression });
+    let count = resumeState ? resumeState.count : 0;
+
+    return {
+        filepath,
+
+        get count() {
+            return count;
+        },
+
+        /**
+         * Append a line per changed document
+         * @param {Array<{id: string, data: object, path: string}>} documents
+         */
+        async write(documents) {
+            let chunk = '';
+
+            for (const doc of documents) {
+                chunk += JSON.stringify({ _op: 'upsert', ...toJsonDocument(doc) }) + '\n';
+                count++;
+            }
+
+            await file.write(chunk);
+        },
+
+        /**
+         * Flush written lines and describe the file so a later run can append to it
+         * @returns {Promise<{bytes: number, count: number}>}
+         */
+        async checkpoint() {
+            await file.flush();
+            return { bytes: file.bytesWritten, count };
+        },
+
+        /**
+         * Finish the file
+         * @param {function} onProgress - Progress callback
+         * @returns {Promise<string>} Path to the created file
+         */
+        async close(onProgress = console.log) {
+            await file.end();
+
+            if (config.logLevel !== 'quiet') {
+                onProgress(`   📄 JSON Lines: ${filename} (${count} changes)`);
+            }
+
+            return filepath;
+        },
+
+        /**
+         * Stop writing (used when an export fails)
+         */
+        async abort() {
+            await file.end();
+        },
+    };
+}
+
 /**
  * Export multiple collections to JSON files
  * @param {Map<string, Array>} collectionsData - Map of collection names to documents
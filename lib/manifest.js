@@ -0,0 +1,114 @@
+/**
+ * Export Manifest
+ *
+ * Describes a finished export run in manifest.json: every file written with
+ * its size, SHA-256 and document count, the collection paths and schemas
+ * behind it, and any collection that failed, so a downstream job can check an
+ * export is complete and intact before loading it
+ */
+
+import { createHash } from 'crypto';
+import { createReadStream, existsSync, mkdirSync, statSync, writeFileSync } from 'fs';
+import { join, relative, sep } from 'path';
+
+export const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Hash a file as it is read, so large exports are never held in memory
+ * @param {string} filepath
+ * @returns {Promise<{bytes: number, sha256: string}>}
+ */
+export async function hashFile(filepath) {
+    const hash = createHash('sha256');
+    for await (const chunk of createReadStream(filepath)) {
+        hash.update(chunk);
+    }
+    return { bytes: statSync(filepath).size, sha256: hash.digest('hex') };
+}
+
+/**
+ * List every file written, once each
+ * Outputs that share a file (SQLite tables in one database) are combined:
+ * their documents are added up and each collection path is listed. An
+ * output split over several files (SQL parts) gives the documents of each.
+ * @param {Array<{type: string, collection: string, files: string[], documents: number, fileDocuments?: number[]}>} outputs
+ * @param {string} baseDir - File paths are given relative to this directory
+ * @returns {Promise<Array<{path: string, format: string, documents: number, bytes: number, sha256: string, collections: string[]}>>}
+ */
+async function describeFiles(outputs, baseDir) {
+    const files = new Map();
+
+    for (const { type, collection, files: paths, documents, fileDocuments } of outputs) {
+        paths.forEach((filepath, i) => {
+            const entry = files.get(filepath) || { filepath, format: type, documents: 0, collections: [] };
+            entry.documents += fileDocuments ? fileDocuments[i] : documents;
+            entry.collections.push(collection);
+            files.set(filepath, entry);
+        });
+    }
+
+    const described = [];
+    for (const { filepath, format, documents, collections } of files.values()) {
+        // A file removed since it was written is listed without a checksum
+        const { bytes, sha256 } = existsSync(filepath) ? await hashFile(filepath) : { bytes: null, sha256: null };
+        described.push({
+            path: relative(baseDir, filepath).split(sep).join('/'),
+            format,
+            documents,
+            bytes,
+            sha256,
+            collections,
+        });
+    }
+
+    return described.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Write manifest.json for an export run
+ *
+ * Collections are keyed by the name they were exported under (a root
+ * collection, or a collection ID with --collection-group) and list each
+ * normalized collection path with its document count and merged SQL schema.
+ * A script split into parts lists the documents in each part. The status is 'incomplete' when any error is recorded.
+ * @param {string} outputDir - Directory to write the manifest to
+ * @param {object} run
+ * @param {{name: string, version: string}} run.tool
+ * @param {string|null} run.projectId
+ * @param {string} run.startedAt - ISO timestamp
+ * @param {object} run.options - Export options worth recording (formats, dialect, ...)
+ * @param {Object<string, {documents: number, outputs: Array<object>, schemas: Object<string, object>}>} run.collections - Results of the exported collections
+ * @param {Array<{collection: string, error: string}>} run.errors - Collections (or tables) that failed
+ * @param {string} run.dialect - SQL dialect of the schemas
+ * @returns {Promise<string>} Path to the manifest
+ */
+export async function writeManifest(outputDir, run) {
+    const { tool, projectId, startedAt, options, collections, errors, dialect } = run;
+    const outputs = Object.values(collections).flatMap(result => result.outputs);
+
+    const manifest = {
+        tool,
+        projectId,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        status: errors.length === 0 ? 'complete' : 'incomplete',
+        options,
+        collections: Object.fromEntries(Object.entries(collections).map(([name, result]) => {
+            const paths = {};
+            for (const { collection, documents } of result.outputs) {
+                paths[collection] = { documents, schema: { dialect, columns: result.schemas[collection] || {} } };
+            }
+            return [name, { documents: result.documents, paths }];
+        })),
+        files: await describeFiles(outputs, outputDir),
+        errors,
+    };
+
+    if (!existsSync(outputDir)) {
+        mkdirSync(outputDir, { recursive: true });
+    }
+
+    const filepath = join(outputDir, MANIFEST_FILE);
+    writeFileSync(filepath, JSON.stringify(manifest, null, 2), 'utf8');
+    return filepath;
+}
@@ -0,0 +1,388 @@
+/**
+ * Parquet Exporter
+ *
+ * Exports Firestore collections to Apache Parquet files for data lakes,
+ * keeping maps and arrays as nested and repeated columns
+ */
+
+import { createReadStream, unlinkSync } from 'fs';
+import { createInterface } from 'readline';
+import { join } from 'path';
+import { config } from '../config.js';
+import {
+    transformValue,
+    isPlainMap,
+    sanitizeFieldName,
+    sanitizeFileName,
+    extractParentId,
+    extractParentPath,
+    extractAncestorIds,
+} from './transformers.js';
+import { createFileWriter } from './fileWriter.js';
+
+// Parquet compression codec for each --parquet-compression value
+export const PARQUET_COMPRESSION = {
+    none: 'UNCOMPRESSED',
+    snappy: 'SNAPPY',
+    gzip: 'GZIP',
+    brotli: 'BROTLI',
+};
+
+const TEXT = { type: 'UTF8' };
+
+/**
+ * Column types for leaf values, in the shape transformValue expects from a
+ * dialect. Each type is a schema node: a primitive `{ type }` or a group
+ * `{ fields }`. Timestamps are staged as ISO strings and revived on write.
+ */
+const parquetTypes = {
+    types: {
+        id: TEXT,
+        path: TEXT,
+        parentId: TEXT,
+        null: null,
+        text: TEXT,
+        bytes: TEXT, // Base64 encoded string
+        timestamp: { type: 'TIMESTAMP_MILLIS' },
+        geopoint: { fields: { latitude: { type: 'DOUBLE' }, longitude: { type: 'DOUBLE' } } },
+        reference: TEXT,
+        json: TEXT,
+        boolean: { type: 'BOOLEAN' },
+        float: { type: 'DOUBLE' },
+        integer: () => ({ type: 'INT64' }),
+        string: () => TEXT,
+    },
+    booleanValue: (value) => value,
+    formatTimestamp: (date) => date.toISOString(),
+};
+
+let parquet = null;
+
+/**
+ * Load the Parquet library
+ * @dsnp/parquetjs is an optional dependency, so it is only loaded here
+ * @returns {Promise<object>} parquetjs module
+ */
+export async function loadParquet() {
+    if (parquet) {
+        return parquet;
+    }
+
+    try {
+        ({ default: parquet } = await import('@dsnp/parquetjs'));
+    } catch (error) {
+        throw new Error('Parquet output requires the @dsnp/parquetjs package.\n' +
+            'Install it with: npm install @dsnp/parquetjs');
+    }
+
+    return parquet;
+}
+
+/**
+ * Sanitize field names, suffixing duplicates the way transformDocument does
+ * @param {object} data
+ * @returns {Array<[string, any]>} Sanitized name and value pairs
+ */
+function sanitizeEntries(data) {
+    const used = new Set();
+
+    return Object.entries(data).map(([field, value]) => {
+        const sanitizedField = sanitizeFieldName(field);
+        let finalField = sanitizedField;
+        let counter = 1;
+        while (used.has(finalField)) {
+            finalField = `${sanitizedField}_${counter}`;
+            counter++;
+        }
+        used.add(finalField);
+        return [finalField, value];
+    });
+}
+
+/**
+ * Transform a Firestore value and infer its schema node
+ * Maps become groups and arrays become repeated fields. Nulls inside arrays
+ * are dropped (repeated fields have no null elements) and arrays of arrays
+ * fall back to JSON text.
+ * @param {any} value
+ * @param {string} fieldName
+ * @returns {{ value: any, node: object|null }} Transformed value and schema node (null for null values)
+ */
+function transformParquetValue(value, fieldName) {
+    if (isPlainMap(value)) {
+        const transformed = {};
+        const fields = {};
+        for (const [key, val] of sanitizeEntries(value)) {
+            const { value: childValue, node } = transformParquetValue(val, `${fieldName}.${key}`);
+            transformed[key] = childValue;
+            if (node) fields[key] = node;
+        }
+        return { value: transformed, node: { fields } };
+    }
+
+    if (Array.isArray(value)) {
+        const transformed = [];
+        let element = null;
+        value.forEach((item, index) => {
+            if (item === null || item === undefined) return;
+            const { value: itemValue, node } = transformParquetValue(item, `${fieldName}[${index}]`);
+            transformed.push(itemValue);
+            element = mergeNodes(element, Array.isArray(item) ? TEXT : node);
+        });
+        return { value: transformed, node: { ...element, repeated: true } };
+    }
+
+    const { value: transformed, sqlType } = transformValue(value, fieldName, parquetTypes);
+    return { value: transformed, node: sqlType };
+}
+
+/**
+ * Merge two schema nodes into one that can hold values of both
+ * Integers widen to doubles, groups merge their fields, and anything else
+ * that disagrees becomes JSON text
+ * @param {object|null} a
+ * @param {object|null} b
+ * @returns {object|null}
+ */
+function mergeNodes(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+
+    if (!!a.repeated !== !!b.repeated) {
+        return TEXT;
+    }
+    const repeated = a.repeated ? { repeated: true } : {};
+
+    // Element type not known yet (only empty arrays seen so far)
+    if (!a.type && !a.fields) return { ...b, ...repeated };
+    if (!b.type && !b.fields) return { ...a, ...repeated };
+
+    if (a.fields && b.fields) {
+        const fields = { ...a.fields };
+        for (const [key, node] of Object.entries(b.fields)) {
+            fields[key] = mergeNodes(fields[key], node);
+        }
+        return { fields, ...repeated };
+    }
+
+    if (a.type === b.type) {
+        return a;
+    }
+
+    const numeric = ['INT64', 'DOUBLE'];
+    if (numeric.includes(a.type) && numeric.includes(b.type)) {
+        return { type: 'DOUBLE', ...repeated };
+    }
+
+    return { ...TEXT, ...repeated };
+}
+
+/**
+ * Merge a document's schema into the collection schema
+ * @param {object} merged
+ * @param {object} schema
+ * @returns {object}
+ */
+function mergeParquetSchemas(merged, schema) {
+    return mergeNodes({ fields: merged }, { fields: schema }).fields;
+}
+
+/**
+ * Resolve nodes whose type was never seen (empty maps and arrays) to JSON text
+ * @param {object} node
+ * @returns {object}
+ */
+function finalizeNode(node) {
+    const repeated = node.repeated ? { repeated: true } : {};
+
+    if (node.fields && Object.keys(node.fields).length > 0) {
+        const fields = {};
+        for (const [key, child] of Object.entries(node.fields)) {
+            fields[key] = finalizeNode(child);
+        }
+        return { fields, ...repeated };
+    }
+
+    return { type: node.type || 'UTF8', ...repeated };
+}
+
+/**
+ * Build the parquetjs schema definition for a finalized node's fields
+ * @param {object} fields - Finalized schema nodes by column
+ * @param {string} compression - Parquet compression codec
+ * @returns {object}
+ */
+function toParquetFields(fields, compression) {
+    const definition = {};
+
+    for (const [key, node] of Object.entries(fields)) {
+        // Repeated fields can be empty but not optional
+        const repetition = node.repeated ? { repeated: true } : { optional: true };
+        definition[key] = node.fields
+            ? { fields: toParquetFields(node.fields, compression), ...repetition }
+            : { type: node.type, compression, ...repetition };
+    }
+
+    return definition;
+}
+
+/**
+ * Convert a staged value to match its final column type
+ * @param {any} value
+ * @param {object} node - Finalized schema node
+ * @returns {any}
+ */
+function conformValue(value, node) {
+    if (value === null || value === undefined) {
+        return undefined;
+    }
+
+    if (node.repeated) {
+        const element = { ...node, repeated: false };
+        return value.map(item => conformValue(item, element));
+    }
+
+    if (node.fields) {
+        const conformed = {};
+        for (const [key, child] of Object.entries(node.fields)) {
+            conformed[key] = conformValue(value[key], child);
+        }
+        return conformed;
+    }
+
+    switch (node.type) {
+        case 'TIMESTAMP_MILLIS':
+            return new Date(value);
+        case 'UTF8':
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Transform a collected document into a Parquet row and its schema
+ * @param {{id: string, data: object, path: string}} doc
+ * @returns {{ data: object, schema: object }}
+ */
+function toParquetRow(doc) {
+    const data = { id: doc.id };
+    const schema = { id: parquetTypes.types.id };
+
+    for (const [field, value] of sanitizeEntries(doc.data)) {
+        const { value: transformed, node } = transformParquetValue(value, field);
+        data[field] = transformed;
+        if (node) schema[field] = node;
+    }
+
+    // Same tracking columns as the SQL output
+    data._path = doc.path;
+    schema._path = parquetTypes.types.path;
+
+    const parentId = extractParentId(doc.path);
+    if (parentId) {
+        data._parentId = parentId;
+        schema._parentId = parquetTypes.types.parentId;
+        data._parentPath = extractParentPath(doc.path);
+        schema._parentPath = parquetTypes.types.path;
+
+        for (const [column, ancestorId] of Object.entries(extractAncestorIds(doc.path))) {
+            data[column] = ancestorId;
+            schema[column] = parquetTypes.types.parentId;
+        }
+    }
+
+    return { data, schema };
+}
+
+/**
+ * Create a streaming Parquet writer for a collection
+ *
+ * A Parquet schema is fixed when the file is opened, so rows are staged as
+ * JSON lines in a `.part` file while the schema is merged. On close the
+ * Parquet file is written from the staged rows, one row group at a time.
+ * @param {string} collectionName - Normalized collection name
+ * @param {{bytes: number, count: number, schema: object}|null} resumeState - Checkpoint from a previous run to append to
+ * @returns {{ filepath: string, count: number, write: function(Array): Promise<void>, checkpoint: function(): Promise<object>, close: function(function): Promise<string>, abort: function(): Promise<void> }}
+ */
+export function createParquetWriter(collectionName, resumeState = null) {
+    const safeCollectionName = sanitizeFileName(collectionName);
+    const filename = `${safeCollectionName}.parquet`;
+    const filepath = join(config.parquetOutputDir, filename);
+    const stagingPath = `${filepath}.part`;
+
+    const staging = createFileWriter(stagingPath, { resumeAt: resumeState ? resumeState.bytes : null });
+    let mergedSchema = resumeState ? resumeState.schema : {};
+    let count = resumeState ? resumeState.count : 0;
+
+    return {
+        filepath,
+
+        get count() {
+            return count;
+        },
+
+        /**
+         * Stage a page of documents
+         * @param {Array<{id: string, data: object, path: string}>} documents
+         */
+        async write(documents) {
+            let chunk = '';
+
+            for (const doc of documents) {
+                const { data, schema } = toParquetRow(doc);
+                mergedSchema = mergeParquetSchemas(mergedSchema, schema);
+                chunk += JSON.stringify(data) + '\n';
+                count++;
+            }
+
+            await staging.write(chunk);
+        },
+
+        /**
+         * Flush staged rows and describe them so a later run can append to them
+         * @returns {Promise<{bytes: number, count: number, schema: object}>}
+         */
+        async checkpoint() {
+            await staging.flush();
+            return { bytes: staging.bytesWritten, count, schema: mergedSchema };
+        },
+
+        /**
+         * Write the Parquet file from the staged rows
+         * @param {function} onProgress - Progress callback
+         * @returns {Promise<string>} Path to the created file
+         */
+        async close(onProgress = console.log) {
+            await staging.end();
+
+            const { ParquetSchema, ParquetWriter } = await loadParquet();
+            const { fields } = finalizeNode({ fields: mergedSchema });
+            const compression = PARQUET_COMPRESSION[config.parquet.compression];
+            const schema = new ParquetSchema(toParquetFields(fields, compression));
+            const file = await ParquetWriter.openFile(schema, filepath, { rowGroupSize: config.parquet.rowGroupSize });
+
+            const lines = createInterface({ input: createReadStream(stagingPath, 'utf8'), crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (!line) continue;
+                await file.appendRow(conformValue(JSON.parse(line), { fields }));
+            }
+
+            await file.close();
+            unlinkSync(stagingPath);
+
+            if (config.logLevel !== 'quiet') {
+                onProgress(`   📄 Parquet: ${filename} (${count} rows, ${Object.keys(fields).length} columns)`);
+            }
+
+            return filepath;
+        },
+
+        /**
+         * Stop writing without assembling the final file (used when an export fails)
+         */
+        async abort() {
+            await staging.end();
+        },
+    };
+}
@@ -0,0 +1,49 @@
+/**
+ * Concurrency Helpers
+ *
+ * Small primitives for running Firestore requests in parallel without
+ * letting the number of requests (or the memory they hold) grow unbounded
+ */
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at a time
+ * Tasks beyond the limit wait in FIFO order until a slot frees up
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @returns {function(function(): Promise<any>): Promise<any>} Function that schedules a task
+ */
+export function createLimiter(concurrency) {
+    let active = 0;
+    const waiting = [];
+
+    const next = () => {
+        if (active < concurrency && waiting.length > 0) {
+            active++;
+            waiting.shift()();
+        }
+    };
+
+    return async function limit(task) {
+        await new Promise((resolve) => {
+            waiting.push(resolve);
+            next();
+        });
+
+        try {
+            return await task();
+        } finally {
+            active--;
+            next();
+        }
+    };
+}
+
+/**
+ * Map items through an async function using a limiter, preserving order
+ * @param {Array} items
+ * @param {function} limit - Limiter from createLimiter
+ * @param {function(any, number): Promise<any>} fn
+ * @returns {Promise<Array>}
+ */
+export function mapLimited(items, limit, fn) {
+    return Promise.all(items.map((item, index) => limit(() => fn(item, index))));
+}
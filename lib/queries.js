@@ -0,0 +1,138 @@
+/**
+ * Collection Query Filters
+ *
+ * Parses the where / order-by / limit settings of a collection (from
+ * config.queries or the CLI) into typed Firestore query clauses
+ */
+
+import admin from 'firebase-admin';
+import { config } from '../config.js';
+
+// Firestore where() operators, longest first so "<=" wins over "<"
+const OPERATORS = [
+    'array-contains-any', 'array-contains', 'not-in', 'in',
+    '==', '!=', '<=', '>=', '<', '>',
+];
+
+// Operators that need the results ordered by their field
+const INEQUALITY_OPERATORS = new Set(['<', '<=', '>', '>=', '!=', 'not-in']);
+
+// Operators that take a list of values
+const LIST_OPERATORS = new Set(['in', 'not-in', 'array-contains-any']);
+
+// Parsed queries by normalized collection path
+const cache = new Map();
+
+/**
+ * Parse a single value from a where clause
+ * true/false/null, numbers and ISO dates (as Timestamps) are typed;
+ * quotes force a string, e.g. "123"
+ * @param {string} text
+ * @returns {any}
+ */
+function parseValue(text) {
+    const value = text.trim();
+
+    if (/^(["']).*\1$/.test(value)) {
+        return value.slice(1, -1);
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (value === 'null') {
+        return null;
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) {
+        return admin.firestore.Timestamp.fromDate(new Date(value));
+    }
+    return value;
+}
+
+/**
+ * Parse a where clause such as "status == active" or "tags array-contains-any [a, b]"
+ * @param {string|Array} clause - Clause text, or a [field, operator, value] triple with the value already typed
+ * @returns {{ field: string, op: string, value: any }}
+ */
+export function parseWhere(clause) {
+    if (Array.isArray(clause)) {
+        const [field, op, value] = clause;
+        if (!OPERATORS.includes(op)) {
+            throw new Error(`Unknown where operator "${op}" (expected ${OPERATORS.join(', ')})`);
+        }
+        return { field, op, value };
+    }
+
+    const match = clause.match(/^\s*(\S+)\s+(\S+)\s+(.+)$/);
+    if (!match || !OPERATORS.includes(match[2])) {
+        throw new Error(`Invalid where clause: "${clause}" (expected "field operator value", e.g. "status == active")`);
+    }
+
+    const [, field, op, rawValue] = match;
+
+    if (LIST_OPERATORS.has(op)) {
+        const list = rawValue.trim().replace(/^\[(.*)\]$/, '$1');
+        return { field, op, value: list.split(',').map(parseValue) };
+    }
+
+    return { field, op, value: parseValue(rawValue) };
+}
+
+/**
+ * Parse an order-by spec such as "createdAt desc"
+ * @param {string} spec
+ * @returns {{ field: string, direction: 'asc'|'desc' }}
+ */
+export function parseOrderBy(spec) {
+    const [field, direction = 'asc', ...rest] = spec.trim().split(/\s+/);
+
+    if (!field || rest.length > 0 || !['asc', 'desc'].includes(direction.toLowerCase())) {
+        throw new Error(`Invalid order-by: "${spec}" (expected "field" or "field asc|desc")`);
+    }
+
+    return { field, direction: direction.toLowerCase() };
+}
+
+/**
+ * Parse the query settings of one collection
+ *
+ * Without an explicit order-by, inequality filters order by their own field
+ * (as Firestore requires). Every query is finally ordered by document ID so
+ * pages can be resumed from a cursor.
+ * @param {{where?: Array, orderBy?: string|string[], limit?: number}} settings
+ * @returns {{ where: Array<{field: string, op: string, value: any}>, orderBy: Array<{field: string, direction: string}>, limit: number|null }}
+ */
+export function resolveQuery(settings = {}) {
+    const where = (settings.where || []).map(parseWhere);
+    const orderBy = [].concat(settings.orderBy || []).map(parseOrderBy);
+
+    if (orderBy.length === 0) {
+        for (const { field, op } of where) {
+            if (INEQUALITY_OPERATORS.has(op) && !orderBy.some(order => order.field === field)) {
+                orderBy.push({ field, direction: 'asc' });
+            }
+        }
+    }
+
+    const limit = settings.limit ?? null;
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+        throw new Error(`Invalid limit: ${limit} (expected a positive integer)`);
+    }
+
+    return { where, orderBy, limit };
+}
+
+/**
+ * Get the parsed query for a collection from config.queries
+ * @param {string} normalizedPath - e.g. "users" or "users__orders"
+ * @returns {object|null} Parsed query, or null to read the whole collection
+ */
+export function getCollectionQuery(normalizedPath) {
+    if (!cache.has(normalizedPath)) {
+        const settings = config.queries[normalizedPath];
+        cache.set(normalizedPath, settings ? resolveQuery(settings) : null);
+    }
+    return cache.get(normalizedPath);
+}
@@ -0,0 +1,183 @@
+/**
+ * Firestore Restorer
+ *
+ * Writes documents from exported JSON files back into Firestore, rebuilding
+ * each document (and any subcollection documents) at its recorded `_path`
+ */
+
+import { readdirSync } from 'fs';
+import { join } from 'path';
+import { getFirestore } from './firebase.js';
+import { config } from '../config.js';
+import { decodeTypedData } from './typedValues.js';
+import { extractAncestorIds } from './transformers.js';
+import { stripCompression } from './compression.js';
+import { readExportFile, readExportHeader } from './exportReader.js';
+
+// Firestore rejects batched writes with more operations than this
+const MAX_BATCH_SIZE = 500;
+
+// Metadata fields added by the JSON exporter (not part of the document),
+// besides the ancestor ID fields (_usersId, ...) derived from `_path`
+const META_FIELDS = ['_id', '_path', '_parentId', '_parentPath'];
+
+const UNTYPED_ERROR = 'Not a typed export (--json-mode typed) - its values would be written as they appear in the file; use --allow-untyped to restore it anyway';
+
+/**
+ * Find the export files that were not written with --json-mode typed
+ * Only the start of each file is read, so this is cheap to run before a restore.
+ * @param {string[]} files - Export files
+ * @returns {Promise<string[]>}
+ */
+export async function findUntypedFiles(files) {
+    const untyped = [];
+    for (const file of files) {
+        const header = await readExportHeader(file);
+        if (header.mode !== 'typed') {
+            untyped.push(file);
+        }
+    }
+    return untyped;
+}
+
+/**
+ * List the exported JSON files in a directory, compressed or not
+ * @param {string} inputDir
+ * @returns {string[]} File paths, sorted by name
+ */
+export function listExportFiles(inputDir) {
+    return readdirSync(inputDir)
+        .filter(f => stripCompression(f).endsWith('.json'))
+        .sort()
+        .map(f => join(inputDir, f));
+}
+
+/**
+ * Rebuild the Firestore data of an exported document
+ *
+ * Typed exports (--json-mode typed) decode back to the original values. The
+ * default export holds SQL-ready values, so those documents (restored only
+ * with allowUntyped) are written with the values in the file: timestamps stay ISO strings, maps stay JSON strings
+ * and field names stay sanitized.
+ * @param {object} doc - Document from an export file
+ * @param {boolean} typed - Whether the file was exported with --json-mode typed
+ * @param {FirebaseFirestore.Firestore} db
+ * @returns {object} Document data
+ */
+function toFirestoreData(doc, typed, db) {
+    if (typed) {
+        return decodeTypedData(doc.data, db);
+    }
+
+    const data = { ...doc };
+    for (const field of [...META_FIELDS, ...Object.keys(extractAncestorIds(doc._path))]) {
+        delete data[field];
+    }
+
+    // The exporter copies the document ID into an `id` column
+    if (data.id === doc._id) {
+        delete data.id;
+    }
+
+    return data;
+}
+
+/**
+ * Restore the documents of one exported JSON file
+ *
+ * The file is read one document at a time and each batch is committed once it
+ * is full, so files of any size can be restored. A document that fails to
+ * decode stops the file; batches before it have already been written.
+ * @param {string} filepath - Export file
+ * @param {object} [options]
+ * @param {'overwrite'|'merge'} [options.mode] - Replace existing documents, or merge fields into them
+ * @param {boolean} [options.dryRun] - Read and decode everything without writing
+ * @param {string[]} [options.collections] - Only restore documents under these root collections (empty = all)
+ * @param {number} [options.batchSize] - Documents per batched write (max 500)
+ * @param {number} [options.concurrency] - Batches committed in parallel
+ * @param {boolean} [options.allowUntyped] - Restore files not exported with --json-mode typed (refused otherwise)
+ * @param {function} [options.onProgress] - Progress callback
+ * @returns {Promise<{collection: string, typed: boolean, documents: number, skipped: number}>}
+ */
+export async function restoreFile(filepath, options = {}) {
+    const {
+        mode = 'overwrite',
+        dryRun = false,
+        collections = [],
+        batchSize = config.batchSize,
+        concurrency = config.concurrency,
+        allowUntyped = false,
+        onProgress = () => { },
+    } = options;
+    const db = getFirestore();
+    const size = Math.min(batchSize, MAX_BATCH_SIZE);
+
+    let documents = 0;
+    let skipped = 0;
+    let pending = [];
+
+    // Batches being committed; reading waits while `concurrency` are in flight
+    const inFlight = new Set();
+
+    /**
+     * Commit a batch, waiting first if too many are in flight
+     * @param {Array<{path: string, data: object}>} writes
+     */
+    async function commitBatch(writes) {
+        while (inFlight.size >= concurrency) {
+            await Promise.race(inFlight);
+        }
+
+        const batch = db.batch();
+        for (const { path, data } of writes) {
+            batch.set(db.doc(path), data, { merge: mode === 'merge' });
+        }
+
+        const commit = batch.commit().then(() => {
+            inFlight.delete(commit);
+            documents += writes.length;
+            onProgress(`Writing... ${documents.toLocaleString()} documents`);
+        });
+        // A failure is reported by the next race or by the final wait
+        commit.catch(() => { });
+        inFlight.add(commit);
+    }
+
+    let header;
+    try {
+        header = await readExportFile(filepath, async (doc, fields) => {
+            if (fields.mode !== 'typed' && !allowUntyped) {
+                throw new Error(UNTYPED_ERROR);
+            }
+            if (collections.length > 0 && !collections.includes(doc._path.split('/')[0])) {
+                skipped++;
+                return;
+            }
+
+            pending.push({ path: doc._path, data: toFirestoreData(doc, fields.mode === 'typed', db) });
+            if (dryRun) {
+                documents += pending.length;
+                pending = [];
+            } else if (pending.length >= size) {
+                const writes = pending;
+                pending = [];
+                await commitBatch(writes);
+            }
+        });
+
+        if (pending.length > 0) {
+            await commitBatch(pending);
+        }
+    } finally {
+        // Let every commit settle before returning or reporting an error
+        await Promise.allSettled(inFlight);
+    }
+    await Promise.all(inFlight);
+
+    return {
+        collection: header.collection,
+        typed: header.mode === 'typed',
+        documents,
+        skipped,
+    };
+}
@@ -0,0 +1,365 @@
+/**
+ * Schema Exporter
+ *
+ * Infers the schema of a collection from its documents and writes a report
+ * with per-field statistics (presence, observed types, nullability), a JSON
+ * Schema, the inferred SQL columns and TypeScript interfaces
+ */
+
+import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import admin from 'firebase-admin';
+import { config } from '../config.js';
+import { getDialect } from './dialects.js';
+import { transformDocument, mergeSchemas, sanitizeFileName, isBytes } from './transformers.js';
+
+// Value types reported for a field, in the order they are listed
+const VALUE_TYPES = ['string', 'integer', 'number', 'boolean', 'timestamp', 'geopoint', 'reference', 'bytes', 'map', 'array', 'null'];
+
+// JSON Schema of each scalar type, as Firestore values appear in JSON
+const JSON_SCHEMA_TYPES = {
+    string: { type: 'string' },
+    integer: { type: 'integer' },
+    number: { type: 'number' },
+    boolean: { type: 'boolean' },
+    null: { type: 'null' },
+    timestamp: { type: 'string', format: 'date-time' },
+    reference: { type: 'string', description: 'Document path' },
+    bytes: { type: 'string', contentEncoding: 'base64' },
+    geopoint: {
+        type: 'object',
+        properties: { latitude: { type: 'number' }, longitude: { type: 'number' } },
+        required: ['latitude', 'longitude'],
+    },
+};
+
+/**
+ * Get the type of a Firestore value as reported in a schema
+ * @param {any} value
+ * @returns {string} One of VALUE_TYPES
+ */
+export function valueType(value) {
+    if (value === null || value === undefined) return 'null';
+    // Bytes MUST be checked before the object cases
+    if (isBytes(value)) return 'bytes';
+    if (value instanceof admin.firestore.Timestamp || value instanceof Date) return 'timestamp';
+    if (value instanceof admin.firestore.GeoPoint) return 'geopoint';
+    if (value instanceof admin.firestore.DocumentReference) return 'reference';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'object') return 'map';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    if (typeof value === 'boolean') return 'boolean';
+    return 'string';
+}
+
+/**
+ * Create the statistics of one position in a document (the document itself,
+ * a field, or the elements of an array)
+ * @returns {{count: number, types: Object<string, number>, fields?: object, items?: object}}
+ */
+function createNode() {
+    return { count: 0, types: {} };
+}
+
+/**
+ * Record a value seen at a position
+ * Maps record their fields, arrays record every element under `items`
+ * @param {object} node - Statistics from createNode
+ * @param {any} value
+ */
+function observeValue(node, value) {
+    const type = valueType(value);
+    node.count++;
+    node.types[type] = (node.types[type] || 0) + 1;
+
+    if (type === 'map') {
+        node.fields = node.fields || {};
+        for (const [field, child] of Object.entries(value)) {
+            node.fields[field] = node.fields[field] || createNode();
+            observeValue(node.fields[field], child);
+        }
+    } else if (type === 'array') {
+        node.items = node.items || createNode();
+        for (const item of value) {
+            observeValue(node.items, item);
+        }
+    }
+}
+
+/**
+ * Types observed at a position, in VALUE_TYPES order
+ * @param {object} node
+ * @returns {string[]}
+ */
+function observedTypes(node) {
+    return VALUE_TYPES.filter(type => node.types[type]);
+}
+
+/**
+ * Share of `total` as a percentage with one decimal
+ * @param {number} count
+ * @param {number} total
+ * @returns {number}
+ */
+function percentage(count, total) {
+    return total > 0 ? Math.round(count / total * 1000) / 10 : 0;
+}
+
+/**
+ * List the statistics of every field under a map position
+ * Nested fields are dotted ("address.city"); fields of array elements use
+ * "[]" ("items[].sku"). Presence is the percentage of the parent objects
+ * (documents, maps or array elements) that have the field.
+ * @param {object} node - Map position
+ * @param {string} [prefix]
+ * @returns {Array<{path: string, presence: number, types: Object<string, number>, nullable: boolean}>}
+ */
+function describeFields(node, prefix = '') {
+    const rows = [];
+
+    for (const [field, child] of Object.entries(node.fields || {})) {
+        const path = prefix + field;
+        rows.push({
+            path,
+            presence: percentage(child.count, node.types.map),
+            types: Object.fromEntries(observedTypes(child).map(type => [type, child.types[type]])),
+            nullable: Boolean(child.types.null),
+        });
+        rows.push(...describeNested(child, path));
+    }
+
+    return rows;
+}
+
+/**
+ * List the fields inside the maps and arrays seen at a position
+ * @param {object} node
+ * @param {string} path
+ * @returns {Array<object>}
+ */
+function describeNested(node, path) {
+    return [
+        ...(node.fields ? describeFields(node, `${path}.`) : []),
+        ...(node.items ? describeNested(node.items, `${path}[]`) : []),
+    ];
+}
+
+/**
+ * Build the JSON Schema of a map position
+ * Fields present in every parent object are required
+ * @param {object} node
+ * @returns {object}
+ */
+function objectSchema(node) {
+    const properties = {};
+    const required = [];
+
+    for (const [field, child] of Object.entries(node.fields || {})) {
+        properties[field] = toJsonSchema(child);
+        if (child.count === node.types.map) {
+            required.push(field);
+        }
+    }
+
+    return { type: 'object', properties, ...(required.length > 0 && { required }) };
+}
+
+/**
+ * Build the JSON Schema of a position from the types seen there
+ * @param {object} node
+ * @returns {object}
+ */
+function toJsonSchema(node) {
+    const types = observedTypes(node)
+        // Every integer is also a number
+        .filter(type => type !== 'integer' || !node.types.number);
+
+    const schemas = types.map(type =>
+        type === 'map' ? objectSchema(node)
+            : type === 'array' ? { type: 'array', ...(node.items?.count > 0 && { items: toJsonSchema(node.items) }) }
+                : JSON_SCHEMA_TYPES[type]
+    );
+
+    if (schemas.length === 1) {
+        return schemas[0];
+    }
+    // Plain types combine into one list, e.g. ["string", "null"]
+    if (schemas.every(schema => Object.keys(schema).length === 1)) {
+        return { type: schemas.map(schema => schema.type) };
+    }
+    return { anyOf: schemas };
+}
+
+/**
+ * Quote a property name for TypeScript when it is not a valid identifier
+ * @param {string} name
+ * @returns {string}
+ */
+function propertyName(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Name the TypeScript interface of a collection
+ * e.g., "users__orders" -> "UsersOrders"
+ * @param {string} collectionName - Normalized collection name
+ * @returns {string}
+ */
+export function interfaceName(collectionName) {
+    const name = collectionName
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(part => part[0].toUpperCase() + part.slice(1))
+        .join('');
+    return /^[A-Za-z]/.test(name) ? name : `_${name}`;
+}
+
+/**
+ * Generate TypeScript interfaces for a collection
+ *
+ * Optional fields get `?`, fields seen as null include `| null`. Timestamps,
+ * GeoPoints and references use the types of config.schema.typesModule; bytes
+ * are a Buffer with the Admin SDK and Bytes otherwise.
+ * @param {string} collectionName - Normalized collection name
+ * @param {object} root - Statistics of the collection's documents
+ * @returns {string} TypeScript source
+ */
+function generateTypeScript(collectionName, root) {
+    const { typesModule } = config.schema;
+    const sdkTypes = {
+        timestamp: 'Timestamp',
+        geopoint: 'GeoPoint',
+        reference: 'DocumentReference',
+        bytes: typesModule.startsWith('firebase-admin') ? 'Buffer' : 'Bytes',
+    };
+    const imports = new Set();
+
+    const objectType = (node, depth) => {
+        const pad = '    '.repeat(depth + 1);
+        const lines = Object.entries(node.fields || {}).map(([field, child]) => {
+            const optional = child.count < node.types.map ? '?' : '';
+            return `${pad}${propertyName(field)}${optional}: ${toType(child, depth + 1)};`;
+        });
+        return lines.length > 0 ? `{\n${lines.join('\n')}\n${'    '.repeat(depth)}}` : 'Record<string, unknown>';
+    };
+
+    const toType = (node, depth) => {
+        const types = new Set();
+        for (const type of observedTypes(node)) {
+            if (type === 'map') {
+                types.add(objectType(node, depth));
+            } else if (type === 'array') {
+                types.add(`Array<${node.items?.count > 0 ? toType(node.items, depth) : 'unknown'}>`);
+            } else if (sdkTypes[type]) {
+                if (sdkTypes[type] !== 'Buffer') imports.add(sdkTypes[type]);
+                types.add(sdkTypes[type]);
+            } else {
+                types.add(type === 'integer' ? 'number' : type);
+            }
+        }
+        return types.size > 0 ? [...types].join(' | ') : 'unknown';
+    };
+
+    const body = root.fields && Object.keys(root.fields).length > 0 ? objectType(root, 0) : '{}';
+    const lines = [
+        `// Firestore Schema: ${collectionName}`,
+        `// Generated at: ${new Date().toISOString()} from ${root.count.toLocaleString()} documents`,
+        '',
+    ];
+    if (imports.size > 0) {
+        lines.push(`import type { ${[...imports].sort().join(', ')} } from '${typesModule}';`, '');
+    }
+    lines.push(`export interface ${interfaceName(collectionName)} ${body}`, '');
+
+    return lines.join('\n');
+}
+
+/**
+ * Create a writer that infers the schema of a collection
+ *
+ * Only statistics are kept in memory (one entry per distinct field path), so
+ * any number of documents can be scanned. On close the report is written as
+ * `<collection>.schema.json` and the interfaces as `<collection>.d.ts`.
+ * @param {string} collectionName - Normalized collection name
+ * @param {{count: number, stats: object, columns: object}|null} resumeState - Checkpoint from a previous run to continue
+ * @returns {{ filepath: string, files: string[], count: number, write: function(Array): Promise<void>, checkpoint: function(): Promise<object>, close: function(function): Promise<string>, abort: function(): Promise<void> }}
+ */
+export function createSchemaWriter(collectionName, resumeState = null) {
+    const dialect = getDialect();
+    const safeCollectionName = sanitizeFileName(collectionName);
+    const filepath = join(config.schemaOutputDir, `${safeCollectionName}.schema.json`);
+    const typesPath = join(config.schemaOutputDir, `${safeCollectionName}.d.ts`);
+
+    const root = resumeState ? resumeState.stats : createNode();
+    let columns = resumeState ? resumeState.columns : {};
+
+    return {
+        filepath,
+
+        // The report and the interfaces
+        files: [filepath, typesPath],
+
+        get count() {
+            return root.count;
+        },
+
+        /**
+         * Record the fields of a page of documents
+         * @param {Array<{id: string, data: object, path: string}>} documents
+         */
+        async write(documents) {
+            for (const doc of documents) {
+                observeValue(root, doc.data);
+                columns = mergeSchemas([columns, transformDocument(doc.id, doc.data, dialect).schema], dialect);
+            }
+        },
+
+        /**
+         * Describe the statistics so far so a later run can continue them
+         * @returns {Promise<{count: number, stats: object, columns: object}>}
+         */
+        async checkpoint() {
+            return { count: root.count, stats: root, columns };
+        },
+
+        /**
+         * Write the schema report and the TypeScript interfaces
+         * @param {function} onProgress - Progress callback
+         * @returns {Promise<string>} Path to the report
+         */
+        async close(onProgress = console.log) {
+            if (!existsSync(config.schemaOutputDir)) {
+                mkdirSync(config.schemaOutputDir, { recursive: true });
+            }
+
+            const fields = describeFields(root);
+            const report = {
+                collection: collectionName,
+                generatedAt: new Date().toISOString(),
+                documents: root.count,
+                sampleSize: config.schema.sampleSize,
+                fields,
+                jsonSchema: {
+                    $schema: 'https://json-schema.org/draft/2020-12/schema',
+                    title: collectionName,
+                    ...objectSchema(root),
+                },
+                sql: { dialect: config.sql.dialect, columns },
+            };
+
+            writeFileSync(filepath, JSON.stringify(report, null, 2), 'utf8');
+            writeFileSync(typesPath, generateTypeScript(collectionName, root), 'utf8');
+
+            if (config.logLevel !== 'quiet') {
+                onProgress(`   📐 Schema: ${safeCollectionName}.schema.json (${root.count} documents, ${fields.length} fields)`);
+            }
+
+            return filepath;
+        },
+
+        /**
+         * Stop without writing the report (used when an export fails)
+         */
+        async abort() { },
+    };
+}
@@ -1,89 +1,37 @@
 /**
  * SQL Exporter
  * 
- * Exports Firestore collections to MS SQL Server compatible SQL files
+ * Exports Firestore collections to SQL files for the configured dialect
+ * (MS SQL Server by default, PostgreSQL or MySQL/MariaDB)
  */
 
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import { writeFileSync, mkdirSync, existsSync, createReadStream, unlinkSync, readdirSync } from 'fs';
 import { join } from 'path';
 import { config } from '../config.js';
-import { transformDocument, mergeSchemas, sanitizeFileName, extractParentId } from './transformers.js';
-
-// SQL Server reserved words that need quoting
-const RESERVED_WORDS = new Set([
-    'ADD', 'ALL', 'ALTER', 'AND', 'ANY', 'AS', 'ASC', 'AUTHORIZATION', 'BACKUP',
-    'BEGIN', 'BETWEEN', 'BREAK', 'BROWSE', 'BULK', 'BY', 'CASCADE', 'CASE',
-    'CHECK', 'CHECKPOINT', 'CLOSE', 'CLUSTERED', 'COALESCE', 'COLLATE', 'COLUMN',
-    'COMMIT', 'COMPUTE', 'CONSTRAINT', 'CONTAINS', 'CONTAINSTABLE', 'CONTINUE',
-    'CONVERT', 'CREATE', 'CROSS', 'CURRENT', 'CURRENT_DATE', 'CURRENT_TIME',
-    'CURRENT_TIMESTAMP', 'CURRENT_USER', 'CURSOR', 'DATABASE', 'DBCC',
-    'DEALLOCATE', 'DECLARE', 'DEFAULT', 'DELETE', 'DENY', 'DESC', 'DISK',
-    'DISTINCT', 'DISTRIBUTED', 'DOUBLE', 'DROP', 'DUMP', 'ELSE', 'END', 'ERRLVL',
-    'ESCAPE', 'EXCEPT', 'EXEC', 'EXECUTE', 'EXISTS', 'EXIT', 'EXTERNAL', 'FETCH',
-    'FILE', 'FILLFACTOR', 'FOR', 'FOREIGN', 'FREETEXT', 'FREETEXTTABLE', 'FROM',
-    'FULL', 'FUNCTION', 'GOTO', 'GRANT', 'GROUP', 'HAVING', 'HOLDLOCK', 'IDENTITY',
-    'IDENTITY_INSERT', 'IDENTITYCOL', 'IF', 'IN', 'INDEX', 'INNER', 'INSERT',
-    'INTERSECT', 'INTO', 'IS', 'JOIN', 'KEY', 'KILL', 'LEFT', 'LIKE', 'LINENO',
-    'LOAD', 'MERGE', 'NATIONAL', 'NOCHECK', 'NONCLUSTERED', 'NOT', 'NULL',
-    'NULLIF', 'OF', 'OFF', 'OFFSETS', 'ON', 'OPEN', 'OPENDATASOURCE', 'OPENQUERY',
-    'OPENROWSET', 'OPENXML', 'OPTION', 'OR', 'ORDER', 'OUTER', 'OVER', 'PERCENT',
-    'PIVOT', 'PLAN', 'PRECISION', 'PRIMARY', 'PRINT', 'PROC', 'PROCEDURE',
-    'PUBLIC', 'RAISERROR', 'READ', 'READTEXT', 'RECONFIGURE', 'REFERENCES',
-    'REPLICATION', 'RESTORE', 'RESTRICT', 'RETURN', 'REVERT', 'REVOKE', 'RIGHT',
-    'ROLLBACK', 'ROWCOUNT', 'ROWGUIDCOL', 'RULE', 'SAVE', 'SCHEMA', 'SECURITYAUDIT',
-    'SELECT', 'SEMANTICKEYPHRASETABLE', 'SEMANTICSIMILARITYDETAILSTABLE',
-    'SEMANTICSIMILARITYTABLE', 'SESSION_USER', 'SET', 'SETUSER', 'SHUTDOWN',
-    'SOME', 'STATISTICS', 'SYSTEM_USER', 'TABLE', 'TABLESAMPLE', 'TEXTSIZE',
-    'THEN', 'TO', 'TOP', 'TRAN', 'TRANSACTION', 'TRIGGER', 'TRUNCATE', 'TRY_CONVERT',
-    'TSEQUAL', 'UNION', 'UNIQUE', 'UNPIVOT', 'UPDATE', 'UPDATETEXT', 'USE', 'USER',
-    'VALUES', 'VARYING', 'VIEW', 'WAITFOR', 'WHEN', 'WHERE', 'WHILE', 'WITH',
-    'WITHIN GROUP', 'WRITETEXT', 'TYPE', 'STATUS', 'NAME', 'VALUE', 'DATA', 'LEVEL',
-    'DATE', 'TIME', 'TIMESTAMP', 'YEAR', 'MONTH', 'DAY', 'HOUR', 'MINUTE', 'SECOND',
-    'ZONE', 'FIRST', 'LAST', 'NEXT', 'PRIOR', 'ABSOLUTE', 'RELATIVE', 'ACTION'
-]);
+import {
+    transformDocument,
+    transformFields,
+    mergeSchemas,
+    flattenDocument,
+    isPlainMap,
+    sanitizeFieldName,
+    sanitizeFileName,
+    shortHash,
+    extractParentId,
+    extractParentPath,
+    extractAncestorIds,
+} from './transformers.js';
+import { createFileWriter } from './fileWriter.js';
+import { compressedName, compressContent, stripCompression } from './compression.js';
+import { getDialect } from './dialects.js';
 
 /**
- * Check if a column name needs quoting
- * Quotes if: reserved word, starts with number, contains special chars
- * @param {string} name 
- * @returns {boolean}
- */
-function needsQuoting(name) {
-    // Reserved word
-    if (RESERVED_WORDS.has(name.toUpperCase())) {
-        return true;
-    }
-    // Starts with a number
-    if (/^\d/.test(name)) {
-        return true;
-    }
-    // Contains dots, spaces, or other special characters
-    if (/[^a-zA-Z0-9_]/.test(name)) {
-        return true;
-    }
-    return false;
-}
-
-/**
- * Quote a column/table name if needed
- * @param {string} name 
- * @returns {string}
- */
-function quoteName(name) {
-    if (needsQuoting(name)) {
-        // Escape any brackets in the name itself
-        const escaped = name.replace(/\]/g, ']]');
-        return `[${escaped}]`;
-    }
-    return name;
-}
-
-/**
- * Escape a string value for SQL
+ * Escape a value as a SQL literal
  * @param {any} value 
+ * @param {import('./dialects.js').SqlDialect} dialect 
  * @returns {string}
  */
-function escapeSqlValue(value) {
+function escapeSqlValue(value, dialect) {
     if (value === null || value === undefined) {
         return 'NULL';
     }
@@ -97,7 +45,7 @@ function escapeSqlValue(value) {
     }
 
     if (typeof value === 'boolean') {
-        return value ? '1' : '0';
+        return dialect.booleanLiteral(value);
     }
 
     // Handle objects (already stringified by transformer)
@@ -105,56 +53,569 @@ function escapeSqlValue(value) {
         value = JSON.stringify(value);
     }
 
-    // Escape single quotes by doubling them
-    const escaped = String(value).replace(/'/g, "''");
-    return `N'${escaped}'`;
+    return dialect.quoteString(String(value));
+}
+
+/**
+ * @typedef {object} TableKeys
+ * @property {string[]|null} primaryKey - Primary key columns
+ * @property {{columns: string[], table: string, references: string[]}|null} foreignKey - Link to the parent table
+ * @property {string[]} indexes - Columns that get an index of their own
+ */
+
+/**
+ * Work out the keys and indexes of an exported table
+ *
+ * Root collection tables are keyed by `id`, subcollection tables by `_path`.
+ * A subcollection table links to its parent table through `_parentId` when the
+ * parent is a root collection, otherwise through `_parentPath`. Child tables of
+ * `--normalize` are keyed by parent path and position and link to the table
+ * their arrays came from.
+ * @param {string} collectionName - Normalized collection name, e.g. "users__orders"
+ * @param {object} [options]
+ * @param {boolean} [options.child] - Keys of a --normalize child table of the collection
+ * @returns {TableKeys}
+ */
+function tableKeys(collectionName, { child = false } = {}) {
+    const collections = collectionName.split('__');
+    const parentLink = (table, parentIsRoot) => (parentIsRoot
+        ? { columns: ['_parentId'], table, references: ['id'] }
+        : { columns: ['_parentPath'], table, references: ['_path'] });
+
+    let primaryKey;
+    let foreignKey = null;
+    let indexes = [];
+
+    if (child) {
+        primaryKey = ['_parentPath', '_index'];
+        foreignKey = parentLink(sanitizeFileName(collectionName), collections.length === 1);
+    } else {
+        primaryKey = collections.length === 1 ? ['id'] : ['_path'];
+        if (collections.length > 1) {
+            foreignKey = parentLink(sanitizeFileName(collections.slice(0, -1).join('__')), collections.length === 2);
+        }
+        indexes = (config.sql.indexes[collectionName] || []).map(sanitizeFieldName);
+    }
+
+    if (config.sql.indexParentId && (child || collections.length > 1)) {
+        indexes = ['_parentId', ...indexes.filter(column => column !== '_parentId')];
+    }
+
+    return {
+        primaryKey: config.sql.primaryKeys ? primaryKey : null,
+        foreignKey: config.sql.foreignKeys ? foreignKey : null,
+        indexes,
+    };
+}
+
+/**
+ * Name a constraint or index, keeping within identifier length limits (63 in PostgreSQL)
+ * @param {string} prefix - e.g. "PK", "FK", "IX"
+ * @param {string[]} parts - Table and column names
+ * @returns {string}
+ */
+function constraintName(prefix, parts) {
+    const name = [prefix, ...parts].join('_');
+    return name.length > 63 ? `${name.substring(0, 54)}_${shortHash(name)}` : name;
+}
+
+/**
+ * Find the stored column types that are too narrow for a fitted type
+ * Each stored type becomes the wider of the two, as when schemas are merged
+ * (so a mix of categories becomes the text type). Types the dialect never
+ * writes are left alone, and no column is changed to the timestamp type
+ * @param {string} sqlType - Type fitted for this export
+ * @param {import('./dialects.js').SqlDialect} dialect 
+ * @returns {{from: string[], to: string}[]} Stored types grouped by the type they change to
+ */
+function columnWidenings(sqlType, dialect) {
+    const widenings = new Map();
+    for (const stored of new Set([...dialect.typeCategories.flat(), dialect.types.text])) {
+        const wider = mergeSchemas([{ column: stored }, { column: sqlType }], dialect).column;
+        // Stored strings may not parse as timestamps (SQL Server ranks DATETIME2 with its strings)
+        if (wider !== stored && wider !== dialect.types.timestamp) {
+            widenings.set(wider, [...(widenings.get(wider) || []), stored]);
+        }
+    }
+    return [...widenings].map(([to, from]) => ({ from, to }));
 }
 
 /**
  * Generate CREATE TABLE statement
+ * Primary key columns are NOT NULL so the key can be added after the data load.
+ * In merge mode the table is only created when it is missing, columns it
+ * lacks are added to it and columns too narrow for the new values are widened,
+ * so existing rows are kept. A dialect whose merge matches rows on the primary
+ * key (keyBeforeRows) gets it here, when the table lacks one, instead of after the data
  * @param {string} tableName 
  * @param {object} schema - Field names to SQL types
+ * @param {import('./dialects.js').SqlDialect} dialect 
+ * @param {TableKeys|null} [keys] - Keys to prepare for (declared here for dialects with inlineKeys)
+ * @param {object} [options]
+ * @param {boolean} [options.merge] - --sql-mode merge
  * @returns {string}
  */
-function generateCreateTable(tableName, schema) {
-    const schemaPrefix = config.sql.schema ? `[${config.sql.schema}].` : '';
-    const safeTableName = quoteName(tableName);
-    const fullTableName = `${schemaPrefix}${safeTableName}`;
-
-    const columns = Object.entries(schema)
-        .map(([field, sqlType]) => `    ${quoteName(field)} ${sqlType}`)
-        .join(',\n');
+function generateCreateTable(tableName, schema, dialect, keys = null, { merge = false } = {}) {
+    const fullTableName = dialect.qualify(tableName);
+    const separator = dialect.batchSeparator;
+    const primaryKey = keys && keys.primaryKey ? keys.primaryKey : [];
+    const columnList = (columns) => columns.map(dialect.quoteName).join(', ');
+
+    // Columns that only ever held nulls get the dialect's catch-all type
+    const fitted = dialect.fitColumns(schema);
+    const definitions = Object.entries(fitted)
+        .map(([field, sqlType]) => `    ${dialect.quoteName(field)} ${sqlType || dialect.types.text}` +
+            (primaryKey.includes(field) ? ' NOT NULL' : ''));
+
+    if (keys && dialect.inlineKeys) {
+        if (keys.primaryKey) {
+            definitions.push(`    ${dialect.primaryKeyClause} (${columnList(keys.primaryKey)})`);
+        }
+        if (keys.foreignKey) {
+            const { columns, table, references } = keys.foreignKey;
+            definitions.push(`    FOREIGN KEY (${columnList(columns)}) REFERENCES ${dialect.qualify(table)} (${columnList(references)})`);
+        }
+    }
 
     let sql = '';
 
+    if (merge) {
+        sql += `${dialect.merge.createTable(fullTableName, tableName)} (\n`;
+        sql += definitions.join(',\n');
+        sql += `\n)${dialect.tableOptions()};\n`;
+        for (const [field, sqlType] of Object.entries(fitted)) {
+            sql += dialect.merge.addColumn(fullTableName, tableName, field, sqlType || dialect.types.text) + '\n';
+            // Key columns always get the same type; untyped ones fit whatever is stored
+            const widenings = sqlType && !primaryKey.includes(field) ? columnWidenings(sqlType, dialect) : [];
+            if (widenings.length > 0) {
+                sql += dialect.merge.widenColumn(fullTableName, tableName, field, widenings) + '\n';
+            }
+        }
+        if (dialect.merge.keyBeforeRows && keys && keys.primaryKey) {
+            sql += dialect.merge.ensure('primaryKey', constraintName('PK', [tableName]), fullTableName, tableName,
+                addPrimaryKey(tableName, keys.primaryKey, dialect)) + '\n';
+        }
+        return `${sql}${separator}\n`;
+    }
+
     if (config.sql.includeDropTable) {
-        sql += `IF OBJECT_ID('${schemaPrefix}${tableName}', 'U') IS NOT NULL\n`;
-        sql += `    DROP TABLE ${fullTableName};\nGO\n\n`;
+        sql += `${dialect.dropTable(fullTableName, tableName)}\n${separator}\n`;
     }
 
     sql += `CREATE TABLE ${fullTableName} (\n`;
-    sql += columns;
-    sql += `\n);\nGO\n\n`;
+    sql += definitions.join(',\n');
+    sql += `\n)${dialect.tableOptions()};\n${separator}\n`;
 
     return sql;
 }
 
 /**
- * Generate INSERT statement for a document
+ * Generate the ALTER TABLE that adds a table's primary key
  * @param {string} tableName 
- * @param {object} data - Transformed document data
- * @param {string[]} columns - Column order
+ * @param {string[]} columns - Key columns
+ * @param {import('./dialects.js').SqlDialect} dialect 
  * @returns {string}
  */
-function generateInsert(tableName, data, columns) {
-    const schemaPrefix = config.sql.schema ? `[${config.sql.schema}].` : '';
-    const safeTableName = quoteName(tableName);
-    const fullTableName = `${schemaPrefix}${safeTableName}`;
+function addPrimaryKey(tableName, columns, dialect) {
+    const name = constraintName('PK', [tableName]);
+    return `ALTER TABLE ${dialect.qualify(tableName)} ADD CONSTRAINT ${dialect.quoteName(name)} ` +
+        `${dialect.primaryKeyClause} (${columns.map(dialect.quoteName).join(', ')});`;
+}
 
-    const columnList = columns.map(quoteName).join(', ');
-    const valueList = columns.map(col => escapeSqlValue(data[col])).join(', ');
+/**
+ * Generate the keys and indexes of a table
+ * They run after the data load, so inserts don't pay for index maintenance.
+ * In merge mode each one is skipped when the table already has it
+ * @param {string} tableName 
+ * @param {object} schema - Field names to SQL types
+ * @param {TableKeys} keys 
+ * @param {import('./dialects.js').SqlDialect} dialect 
+ * @param {object} [options]
+ * @param {boolean} [options.merge] - --sql-mode merge
+ * @returns {string} Statements, or '' when there is nothing to add
+ */
+function generateConstraints(tableName, schema, keys, dialect, { merge = false } = {}) {
+    const fullTableName = dialect.qualify(tableName);
+    const columnList = (columns) => columns.map(dialect.quoteName).join(', ');
+    const fitted = dialect.fitColumns(schema);
+    const statements = [];
+
+    const add = (kind, name, statement) => statements.push(merge
+        ? dialect.merge.ensure(kind, name, fullTableName, tableName, statement)
+        : statement);
+
+    // Merges that match rows on the primary key added it with the table
+    if (keys.primaryKey && !dialect.inlineKeys && !(merge && dialect.merge.keyBeforeRows)) {
+        add('primaryKey', constraintName('PK', [tableName]), addPrimaryKey(tableName, keys.primaryKey, dialect));
+    }
+
+    if (keys.foreignKey && !dialect.inlineKeys) {
+        const { columns, table, references } = keys.foreignKey;
+        const name = constraintName('FK', [tableName, table]);
+        add('foreignKey', name, `ALTER TABLE ${fullTableName} ADD CONSTRAINT ${dialect.quoteName(name)} ` +
+            `FOREIGN KEY (${columnList(columns)}) REFERENCES ${dialect.qualify(table)} (${columnList(references)});`);
+    }
+
+    for (const column of keys.indexes) {
+        if (!(column in fitted)) {
+            statements.push(`-- Index on ${column} skipped: no such column`);
+            continue;
+        }
+        const sqlType = fitted[column] || dialect.types.text;
+        if (!dialect.indexable(sqlType)) {
+            statements.push(`-- Index on ${column} skipped: ${sqlType} columns can't be indexed`);
+            continue;
+        }
+        const name = constraintName('IX', [tableName, column]);
+        add('index', name, `CREATE INDEX ${dialect.quoteName(name)} ON ${fullTableName} (${columnList([column])});`);
+    }
+
+    if (statements.length === 0) {
+        return '';
+    }
+
+    return `\n-- Keys and indexes\n${statements.join('\n')}\n${dialect.batchSeparator}`;
+}
+
+/**
+ * Columns of a group of rows, in the order they first appear
+ * @param {object[]} rows 
+ * @returns {string[]}
+ */
+function rowColumns(rows) {
+    const columns = new Set();
+    for (const row of rows) {
+        for (const column of Object.keys(row)) {
+            columns.add(column);
+        }
+    }
+    return [...columns];
+}
+
+/**
+ * Render rows as "(value, value, ...)" lists for a VALUES clause
+ * @param {object[]} rows 
+ * @param {string[]} columns 
+ * @param {import('./dialects.js').SqlDialect} dialect 
+ * @returns {string[]}
+ */
+function renderValueLists(rows, columns, dialect) {
+    return rows.map(row => `(${columns.map(col => escapeSqlValue(row[col], dialect)).join(', ')})`);
+}
+
+/**
+ * Generate an INSERT statement for one or more rows
+ * Columns missing from a row are inserted as NULL
+ * @param {string} tableName 
+ * @param {object[]} rows - Transformed document data
+ * @param {import('./dialects.js').SqlDialect} dialect 
+ * @returns {string}
+ */
+function generateInsert(tableName, rows, dialect) {
+    const fullTableName = dialect.qualify(tableName);
+    const columns = rowColumns(rows);
+
+    const columnList = columns.map(dialect.quoteName).join(', ');
+    const valueLists = renderValueLists(rows, columns, dialect);
+
+    if (valueLists.length === 1) {
+        return `INSERT INTO ${fullTableName} (${columnList}) VALUES ${valueLists[0]};`;
+    }
+    return `INSERT INTO ${fullTableName} (${columnList}) VALUES\n    ${valueLists.join(',\n    ')};`;
+}
+
+/**
+ * Generate statements that replace the rows with the same `_path`
+ * DELETE + INSERT works in every dialect without a key on the table
+ * @param {string} tableName 
+ * @param {object[]} rows - Transformed document data
+ * @param {import('./dialects.js').SqlDialect} dialect 
+ * @returns {string}
+ */
+function generateUpsert(tableName, rows, dialect) {
+    const fullTableName = dialect.qualify(tableName);
+    const paths = rows.map(row => escapeSqlValue(row._path, dialect)).join(', ');
 
-    return `INSERT INTO ${fullTableName} (${columnList}) VALUES (${valueList});`;
+    return `DELETE FROM ${fullTableName} WHERE ${dialect.quoteName('_path')} IN (${paths});\n` +
+        generateInsert(tableName, rows, dialect);
+}
+
+/**
+ * Generate statements that stage rows and merge them into the table
+ * (--sql-mode merge): stored rows are updated in place, new ones inserted.
+ * Rows are matched on the table's primary key column: `id` for root
+ * collections, `_path` for subcollections
+ * @param {string} tableName 
+ * @param {object[]} rows - Transformed document data
+ * @param {import('./dialects.js').SqlDialect} dialect 
+ * @param {number} sequence - Position of the statement in its batch
+ * @returns {string}
+ */
+function generateMerge(tableName, rows, dialect, sequence) {
+    const columns = rowColumns(rows);
+    const key = columns.includes('_parentId') ? '_path' : 'id';
+    return dialect.merge.upsert(dialect.qualify(tableName), columns, renderValueLists(rows, columns, dialect), { key, sequence });
+}
+
+/**
+ * Stage the data statements of a script
+ *
+ * Rows are buffered per table and written as multi-row INSERTs of up to
+ * `config.sql.rowsPerInsert` rows. A batch separator follows every
+ * `config.sql.insertsPerBatch` statements. Once the current part holds
+ * `config.sql.maxFileSizeMB` of data, its byte offset is recorded so the
+ * script can be split into several files there. The rows of `documentTable`
+ * are counted per part, so each file's document count is known.
+ * @param {import('./dialects.js').SqlDialect} dialect 
+ * @param {string} documentTable - Table of the collection's documents (not a child table)
+ * @param {{bytes?: number, statements?: number, splits?: number[], partRows?: number[]}} [state] - Position saved by a checkpoint
+ * @returns {{ add: function(string, object, function): void, flush: function(): void, take: function(): string, state: function(): object }}
+ */
+function createInsertBuffer(dialect, documentTable, state = {}) {
+    const rowsPerInsert = Math.max(1, Math.min(config.sql.rowsPerInsert, dialect.maxInsertRows));
+    const maxPartBytes = config.sql.maxFileSizeMB * 1024 * 1024;
+
+    // Buffered rows by table, in the order the tables first appear (parents first)
+    const pending = new Map();
+    const splits = [...(state.splits || [])];
+    const partRows = state.partRows ? [...state.partRows] : [0, ...splits.map(() => 0)];
+    let bytes = state.bytes || 0;
+    let statements = state.statements || 0; // Since the last batch separator
+    let text = '';
+
+    function append(sql) {
+        text += sql;
+        bytes += Buffer.byteLength(sql);
+    }
+
+    function endBatch() {
+        if (statements > 0) {
+            append(dialect.batchSeparator);
+        }
+        statements = 0;
+    }
+
+    function emit({ table, rows, generate }) {
+        const partStart = splits.length > 0 ? splits[splits.length - 1] : 0;
+        if (maxPartBytes > 0 && bytes - partStart >= maxPartBytes) {
+            endBatch();
+            splits.push(bytes);
+            partRows.push(0);
+        }
+
+        if (table === documentTable) {
+            partRows[partRows.length - 1] += rows.length;
+        }
+        append(generate(table, rows, dialect, statements + 1) + '\n');
+        statements++;
+        if (statements >= config.sql.insertsPerBatch) {
+            endBatch();
+        }
+    }
+
+    function flush() {
+        for (const entry of pending.values()) {
+            if (entry.rows.length > 0) {
+                emit(entry);
+                entry.rows = [];
+            }
+        }
+    }
+
+    return {
+        /**
+         * Buffer a row; full statements are staged, parents before children
+         * so inline foreign keys (SQLite) always find their parent row
+         * @param {string} table 
+         * @param {object} row 
+         * @param {function} [generate] - generateInsert, generateUpsert or generateMerge
+         */
+        add(table, row, generate = generateInsert) {
+            if (!pending.has(table)) {
+                pending.set(table, { table, rows: [], generate });
+            }
+            const entry = pending.get(table);
+            entry.rows.push(row);
+            if (entry.rows.length >= rowsPerInsert) {
+                flush();
+            }
+        },
+
+        flush,
+
+        /**
+         * Take the text staged since the last call
+         * @returns {string}
+         */
+        take() {
+            const staged = text;
+            text = '';
+            return staged;
+        },
+
+        /**
+         * Position of the staged data, to save in a checkpoint
+         * @returns {{bytes: number, statements: number, splits: number[], partRows: number[]}}
+         */
+        state() {
+            return { bytes, statements, splits: [...splits], partRows: [...partRows] };
+        },
+    };
+}
+
+/**
+ * Comment block at the top of a script
+ * @param {string} collectionName 
+ * @param {number} count - Documents in the script
+ * @param {object} [options]
+ * @param {boolean} [options.delta] - Changed documents of an incremental export
+ * @param {number} [options.part] - Part number (1-based) when the script is split
+ * @param {number} [options.parts] - Number of parts
+ * @returns {string}
+ */
+function generateHeader(collectionName, count, { delta = false, part = 1, parts = 1 } = {}) {
+    let header = `-- Firestore ${delta ? 'Delta ' : ''}Export: ${collectionName}\n`;
+    header += `-- Exported at: ${new Date().toISOString()}\n`;
+    header += `-- ${delta ? 'Changed documents' : 'Document count'}: ${count}\n`;
+    if (parts > 1) {
+        header += `-- Part ${part} of ${parts}\n`;
+    }
+    return header + '\n';
+}
+
+/**
+ * File names of a table's script: "users.sql", or "users.part001.sql",
+ * "users.part002.sql", ... when it is split, with the extension of the
+ * configured compression ("users.sql.gz")
+ * @param {string} tableName - Sanitized table name
+ * @param {number} parts 
+ * @returns {string[]}
+ */
+function scriptFileNames(tableName, parts) {
+    if (parts <= 1) {
+        return [compressedName(`${tableName}.sql`)];
+    }
+    return Array.from({ length: parts }, (_, i) => compressedName(`${tableName}.part${String(i + 1).padStart(3, '0')}.sql`));
+}
+
+/**
+ * Remove the script files of a table left by an earlier export, split or not
+ * and compressed or not, so a smaller export doesn't leave stale parts behind
+ * @param {string} tableName - Sanitized table name
+ */
+function removeScriptFiles(tableName) {
+    if (!existsSync(config.sqlOutputDir)) {
+        return;
+    }
+    for (const file of readdirSync(config.sqlOutputDir)) {
+        const name = stripCompression(file);
+        const suffix = name.startsWith(`${tableName}.`) ? name.slice(tableName.length) : null;
+        if (suffix === '.sql' || /^\.part\d{3,}\.sql$/.test(suffix)) {
+            unlinkSync(join(config.sqlOutputDir, file));
+        }
+    }
+}
+
+/**
+ * Describe the files of a script for progress output
+ * @param {string[]} filenames 
+ * @returns {string} e.g. "users.sql" or "users.part001.sql … users.part004.sql"
+ */
+function describeScriptFiles(filenames) {
+    if (filenames.length === 1) {
+        return filenames[0];
+    }
+    return `${filenames[0]} … ${filenames[filenames.length - 1]}`;
+}
+
+/**
+ * Split document data into child table rows for arrays (--normalize)
+ * Each element becomes a row keyed by the parent document and its position;
+ * maps are flattened into columns, anything else goes into a `value` column
+ * @param {{id: string, path: string}} doc - Parent document
+ * @param {any[]} items - Array elements
+ * @param {import('./dialects.js').SqlDialect} dialect 
+ * @returns {Array<{ data: object, schema: object }>}
+ */
+function toChildRows(doc, items, dialect) {
+    const initial = {
+        data: { _parentId: doc.id, _parentPath: doc.path },
+        schema: { _parentId: dialect.types.parentId, _parentPath: dialect.types.path },
+    };
+
+    return items.map((item, index) => {
+        const fields = isPlainMap(item)
+            ? flattenDocument(item, { maxDepth: config.sql.normalizeDepth })
+            : { value: item };
+
+        return transformFields(fields, dialect, {
+            data: { ...initial.data, _index: index },
+            schema: { ...initial.schema, _index: dialect.types.integer(index) },
+        });
+    });
+}
+
+/**
+ * Transform a collected document into a SQL row and its column types
+ *
+ * With `normalize`, nested maps become prefixed columns (address_city) up to
+ * `config.sql.normalizeDepth` levels and arrays become rows of child tables,
+ * returned by sanitized field name, instead of JSON text.
+ * @param {{id: string, data: object, path: string}} doc
+ * @param {import('./dialects.js').SqlDialect} dialect 
+ * @param {object} [options]
+ * @param {boolean} [options.normalize] - Flatten maps and move arrays into child rows
+ * @returns {{ data: object, schema: object, children: Array<{ field: string, rows: Array<{data: object, schema: object}> }> }}
+ */
+export function toSqlRow(doc, dialect, { normalize = false } = {}) {
+    let fields = doc.data;
+    const children = [];
+
+    if (normalize) {
+        fields = {};
+        for (const [field, value] of Object.entries(flattenDocument(doc.data, { maxDepth: config.sql.normalizeDepth }))) {
+            if (Array.isArray(value)) {
+                children.push({ field: sanitizeFieldName(field), rows: toChildRows(doc, value, dialect) });
+            } else {
+                fields[field] = value;
+            }
+        }
+    }
+
+    const { data, schema } = transformDocument(doc.id, fields, dialect);
+
+    // Add path column for subcollection tracking
+    data._path = doc.path;
+    schema._path = dialect.types.path;
+
+    // Add parent ID and path for subcollection documents
+    const parentId = extractParentId(doc.path);
+    if (parentId) {
+        data._parentId = parentId;
+        schema._parentId = dialect.types.parentId;
+        data._parentPath = extractParentPath(doc.path);
+        schema._parentPath = dialect.types.path;
+
+        // One column per ancestor document, since IDs are only unique per collection
+        for (const [column, ancestorId] of Object.entries(extractAncestorIds(doc.path))) {
+            data[column] = ancestorId;
+            schema[column] = dialect.types.parentId;
+        }
+    }
+
+    return { data, schema, children };
+}
+
+/**
+ * Name of the child table holding an array field (--normalize)
+ * The double underscore keeps it apart from subcollection tables, whose
+ * sanitized names never contain one
+ * @param {string} tableName - Sanitized parent table name
+ * @param {string} field - Sanitized array field name
+ * @returns {string} e.g. "users__tags"
+ */
+function childTableName(tableName, field) {
+    return `${tableName}__${field}`;
 }
 
 /**
@@ -172,69 +633,308 @@ export function exportToSql(collectionName, documents, onProgress = console.log)
 
     // Sanitize collection name for filename
     const safeCollectionName = sanitizeFileName(collectionName);
+    const dialect = getDialect();
+    const merge = config.sql.mode === 'merge';
 
     // Transform all documents and collect schemas
     const transformedDocs = [];
     const schemas = [];
+    const childTables = new Map(); // table name -> { rows, schemas }
     let hasSubcollections = false;
 
     for (const doc of documents) {
-        const { data, schema } = transformDocument(doc.id, doc.data);
-
-        // Add path column for subcollection tracking
-        data._path = doc.path;
-        schema._path = 'NVARCHAR(500)';
+        const { data, schema, children } = toSqlRow(doc, dialect, { normalize: config.sql.normalize });
 
-        // Add parent ID for subcollection documents
-        const parentId = extractParentId(doc.path);
-        if (parentId) {
-            data._parentId = parentId;
-            schema._parentId = 'NVARCHAR(255)';
+        if (data._parentId) {
             hasSubcollections = true;
         }
 
         transformedDocs.push(data);
         schemas.push(schema);
+
+        for (const { field, rows } of children) {
+            const table = childTableName(safeCollectionName, field);
+            if (!childTables.has(table)) {
+                childTables.set(table, { rows: [], schemas: [] });
+            }
+            for (const row of rows) {
+                childTables.get(table).rows.push(row.data);
+                childTables.get(table).schemas.push(row.schema);
+            }
+        }
     }
 
     // Merge schemas to get the widest types
-    const mergedSchema = mergeSchemas(schemas);
+    const mergedSchema = mergeSchemas(schemas, dialect);
 
-    // Ensure _parentId column exists in schema if any doc has it
+    // Ensure parent columns exist in schema if any doc has them
     if (hasSubcollections && !mergedSchema._parentId) {
-        mergedSchema._parentId = 'NVARCHAR(255)';
+        mergedSchema._parentId = dialect.types.parentId;
+        mergedSchema._parentPath = dialect.types.path;
     }
 
     const columns = Object.keys(mergedSchema);
 
-    // Generate SQL
-    let sql = `-- Firestore Export: ${collectionName}\n`;
-    sql += `-- Exported at: ${new Date().toISOString()}\n`;
-    sql += `-- Document count: ${documents.length}\n\n`;
+    const childSchemas = new Map(
+        [...childTables].map(([table, { schemas: rowSchemas }]) => [table, mergeSchemas(rowSchemas, dialect)])
+    );
+
+    const keys = tableKeys(collectionName);
+    const childKeys = tableKeys(collectionName, { child: true });
 
     // Add CREATE TABLE if configured
+    let ddl = '';
     if (config.sql.includeCreateTable) {
-        sql += generateCreateTable(safeCollectionName, mergedSchema);
+        ddl += generateCreateTable(safeCollectionName, mergedSchema, dialect, keys, { merge });
+        for (const [table, schema] of childSchemas) {
+            ddl += generateCreateTable(table, schema, dialect, childKeys, { merge });
+        }
     }
 
-    // Add INSERT statements
-    sql += `-- Data\n`;
+    // Stage INSERT statements, parent rows first
+    const inserts = createInsertBuffer(dialect, safeCollectionName);
     for (const doc of transformedDocs) {
-        sql += generateInsert(safeCollectionName, doc, columns) + '\n';
+        inserts.add(safeCollectionName, doc, merge ? generateMerge : generateInsert);
+    }
+    for (const [table, { rows }] of childTables) {
+        for (const row of rows) {
+            inserts.add(table, row);
+        }
+    }
+    inserts.flush();
+
+    // Keys and indexes go on the tables created above, after the data load
+    let constraints = '';
+    if (config.sql.includeCreateTable) {
+        constraints += generateConstraints(safeCollectionName, mergedSchema, keys, dialect, { merge });
+        for (const [table, schema] of childSchemas) {
+            constraints += generateConstraints(table, schema, childKeys, dialect, { merge });
+        }
     }
-    sql += 'GO\n';
 
-    // Write file
-    const filename = `${safeCollectionName}.sql`;
-    const filepath = join(config.sqlOutputDir, filename);
+    // Write the script, split into parts at the recorded offsets
+    const data = Buffer.from(inserts.take(), 'utf8');
+    const { bytes, statements, splits } = inserts.state();
+    const starts = [0, ...splits];
+    const filenames = scriptFileNames(safeCollectionName, starts.length);
+    removeScriptFiles(safeCollectionName);
+
+    starts.forEach((start, i) => {
+        const last = i === starts.length - 1;
+        const body = data.subarray(start, last ? bytes : starts[i + 1]).toString('utf8');
+
+        let sql = generateHeader(collectionName, documents.length, { part: i + 1, parts: starts.length });
+        sql += dialect.preamble;
+        if (i === 0) {
+            sql += ddl;
+        }
+        sql += `-- Data\n${body}`;
+        if (last) {
+            // Close the open batch (an empty script still gets one)
+            if (statements > 0 || body === '') {
+                sql += dialect.batchSeparator;
+            }
+            sql += constraints;
+        }
 
-    writeFileSync(filepath, sql, 'utf8');
+        writeFileSync(join(config.sqlOutputDir, filenames[i]), compressContent(sql));
+    });
 
     if (config.logLevel !== 'quiet') {
-        onProgress(`   📄 SQL: ${filename} (${documents.length} rows, ${columns.length} columns)`);
+        onProgress(`   📄 SQL: ${describeScriptFiles(filenames)} (${documents.length} rows, ${columns.length} columns` +
+            (childTables.size > 0 ? `, ${childTables.size} child tables` : '') + ')');
     }
 
-    return filepath;
+    return join(config.sqlOutputDir, filenames[0]);
+}
+
+/**
+ * Create a streaming SQL writer for a collection
+ *
+ * INSERT statements are appended to a `.part` file as pages arrive while the
+ * schema is merged incrementally. On close the final script is assembled from
+ * the header, the CREATE TABLE for the merged schema and the streamed inserts.
+ *
+ * A delta writer (incremental exports) leaves the table alone and replaces
+ * each changed row instead, so the script applies on top of a full export.
+ *
+ * With `config.sql.normalize`, array elements are staged as rows of child
+ * tables in the same file, and a CREATE TABLE is written for each of them.
+ * Keys and indexes of every table are added after the data.
+ *
+ * Rows are grouped into multi-row INSERTs. When the staged data outgrows
+ * `config.sql.maxFileSizeMB`, the script is split into numbered part files:
+ * the first creates the tables and the last adds the keys.
+ *
+ * With `config.sql.mode` 'merge', tables and columns are only added when
+ * missing and rows are merged on `_path`, for full and delta writers alike.
+ * @param {string} collectionName - Normalized collection name
+ * @param {{bytes: number, count: number, schema: object, childSchemas?: object, statements?: number, splits?: number[], partRows?: number[]}|null} resumeState - Checkpoint from a previous run to append to
+ * @param {object} [options]
+ * @param {boolean} [options.delta] - Write DELETE + INSERT per row with no CREATE TABLE
+ * @returns {{ filepath: string, count: number, files: string[], fileDocuments: number[], write: function(Array): Promise<void>, checkpoint: function(): Promise<object>, close: function(function): Promise<string>, abort: function(): Promise<void> }}
+ */
+export function createSqlWriter(collectionName, resumeState = null, { delta = false } = {}) {
+    const safeCollectionName = sanitizeFileName(collectionName);
+    const filepath = join(config.sqlOutputDir, scriptFileNames(safeCollectionName, 1)[0]);
+    const bodyPath = join(config.sqlOutputDir, `${safeCollectionName}.sql.part`);
+    const dialect = getDialect();
+    const merge = config.sql.mode === 'merge';
+
+    const body = createFileWriter(bodyPath, { resumeAt: resumeState ? resumeState.bytes : null });
+    const inserts = createInsertBuffer(dialect, safeCollectionName, resumeState || {});
+    let mergedSchema = resumeState ? resumeState.schema : {};
+    let count = resumeState ? resumeState.count : 0;
+
+    // Merged schemas of the child tables (--normalize), by table name
+    const childSchemas = resumeState && resumeState.childSchemas ? { ...resumeState.childSchemas } : {};
+
+    // Every script file assembled on close (the parts, when split), and the documents in each
+    let files = [];
+    let fileDocuments = [];
+
+    return {
+        filepath,
+
+        get count() {
+            return count;
+        },
+
+        get files() {
+            return files;
+        },
+
+        get fileDocuments() {
+            return fileDocuments;
+        },
+
+        /**
+         * Append INSERT statements for a page of documents
+         * @param {Array<{id: string, data: object, path: string}>} documents
+         */
+        async write(documents) {
+            for (const doc of documents) {
+                const { data, schema, children } = toSqlRow(doc, dialect, { normalize: config.sql.normalize });
+                mergedSchema = mergeSchemas([mergedSchema, schema], dialect);
+                inserts.add(safeCollectionName, data, merge ? generateMerge : delta ? generateUpsert : generateInsert);
+                count++;
+
+                for (const { field, rows } of children) {
+                    const table = childTableName(safeCollectionName, field);
+                    for (const row of rows) {
+                        childSchemas[table] = mergeSchemas([childSchemas[table] || {}, row.schema], dialect);
+                        inserts.add(table, row.data);
+                    }
+                }
+            }
+
+            // Statements never span pages, so a checkpoint always ends on a whole statement
+            inserts.flush();
+            await body.write(inserts.take());
+        },
+
+        /**
+         * Flush staged inserts and describe them so a later run can append to them
+         * @returns {Promise<{bytes: number, count: number, schema: object, childSchemas: object, statements: number, splits: number[], partRows: number[]}>}
+         */
+        async checkpoint() {
+            await body.flush();
+            return { ...inserts.state(), bytes: body.bytesWritten, count, schema: mergedSchema, childSchemas: { ...childSchemas } };
+        },
+
+        /**
+         * Assemble the final SQL file(s) from the merged schema and streamed inserts
+         * @param {function} onProgress - Progress callback
+         * @returns {Promise<string>} Path to the created file (the first part when split)
+         */
+        async close(onProgress = console.log) {
+            await body.end();
+
+            const columns = Object.keys(mergedSchema);
+            const { bytes, statements, splits, partRows } = inserts.state();
+            const starts = [0, ...splits];
+            const filenames = scriptFileNames(safeCollectionName, starts.length);
+
+            // Add CREATE TABLE if configured (the table already exists for a
+            // delta, but may need new columns when merging)
+            const withDdl = config.sql.includeCreateTable && (merge || !delta);
+            const keys = tableKeys(collectionName);
+            const childKeys = tableKeys(collectionName, { child: true });
+
+            removeScriptFiles(safeCollectionName);
+
+            for (let i = 0; i < starts.length; i++) {
+                const last = i === starts.length - 1;
+                const end = last ? bytes : starts[i + 1];
+                const file = createFileWriter(join(config.sqlOutputDir, filenames[i]), { compression: config.compression });
+
+                let header = generateHeader(collectionName, count, { delta, part: i + 1, parts: starts.length });
+                header += dialect.preamble;
+                if (withDdl && i === 0) {
+                    header += generateCreateTable(safeCollectionName, mergedSchema, dialect, keys, { merge });
+                    for (const [table, schema] of Object.entries(childSchemas)) {
+                        header += generateCreateTable(table, schema, dialect, childKeys, { merge });
+                    }
+                }
+
+                header += `-- Data\n`;
+                await file.write(header);
+
+                if (end > starts[i]) {
+                    for await (const chunk of createReadStream(bodyPath, { start: starts[i], end: end - 1 })) {
+                        await file.write(chunk);
+                    }
+                }
+
+                if (last) {
+                    // Close the open batch (an empty script still gets one)
+                    if (statements > 0 || end === starts[i]) {
+                        await file.write(dialect.batchSeparator);
+                    }
+
+                    // Keys and indexes go on the tables created above, after the data load
+                    if (withDdl) {
+                        let constraints = generateConstraints(safeCollectionName, mergedSchema, keys, dialect, { merge });
+                        for (const [table, schema] of Object.entries(childSchemas)) {
+                            constraints += generateConstraints(table, schema, childKeys, dialect, { merge });
+                        }
+                        await file.write(constraints);
+                    }
+                }
+
+                await file.end();
+            }
+
+            unlinkSync(bodyPath);
+            files = filenames.map(filename => join(config.sqlOutputDir, filename));
+            fileDocuments = partRows;
+
+            if (config.logLevel !== 'quiet') {
+                const childCount = Object.keys(childSchemas).length;
+                onProgress(`   📄 SQL: ${describeScriptFiles(filenames)} (${count} rows, ${columns.length} columns` +
+                    (childCount > 0 ? `, ${childCount} child tables` : '') + ')');
+            }
+
+            return join(config.sqlOutputDir, filenames[0]);
+        },
+
+        /**
+         * Stop writing without assembling the final file (used when an export fails)
+         */
+        async abort() {
+            await body.end();
+        },
+    };
+}
+
+/**
+ * Create a delta SQL writer for an incremental export
+ * @param {string} collectionName - Normalized collection name
+ * @param {{bytes: number, count: number, schema: object}|null} resumeState - Checkpoint from a previous run to append to
+ * @returns {object} SQL writer that replaces changed rows
+ */
+export function createSqlDeltaWriter(collectionName, resumeState = null) {
+    return createSqlWriter(collectionName, resumeState, { delta: true });
 }
 
 /**
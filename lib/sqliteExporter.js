@@ -0,0 +1,197 @@
+/**
+ * SQLite Exporter
+ * 
+ * Writes Firestore collections straight into a SQLite database file,
+ * one table per normalized collection path
+ */
+
+import { mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+import { config } from '../config.js';
+import { mergeSchemas, sanitizeFileName } from './transformers.js';
+import { getDialect } from './dialects.js';
+import { toSqlRow } from './sqlExporter.js';
+
+const dialect = getDialect('sqlite');
+
+let db = null;
+
+/**
+ * Open (or create) the SQLite database that tables are written to
+ * better-sqlite3 is an optional dependency, so it is only loaded here
+ * @param {string} filepath - Database file path
+ * @returns {Promise<object>} better-sqlite3 Database
+ */
+export async function openSqliteDatabase(filepath = config.sqliteFile) {
+    if (db) {
+        return db;
+    }
+
+    let Database;
+    try {
+        ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+        throw new Error('SQLite output requires the better-sqlite3 package.\n' +
+            'Install it with: npm install better-sqlite3');
+    }
+
+    // Ensure output directory exists
+    const dir = dirname(filepath);
+    if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+    }
+
+    db = new Database(filepath);
+    db.pragma('journal_mode = WAL');
+
+    return db;
+}
+
+/**
+ * Close the SQLite database if it is open
+ */
+export function closeSqliteDatabase() {
+    if (db) {
+        db.close();
+        db = null;
+    }
+}
+
+/**
+ * Convert a transformed value into something better-sqlite3 can bind
+ * @param {any} value 
+ * @returns {any}
+ */
+function toSqliteValue(value) {
+    if (value === undefined) {
+        return null;
+    }
+    // GeoPoints come back from the transformer as plain objects
+    if (value !== null && typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return value;
+}
+
+/**
+ * Create a writer that inserts a collection into a SQLite table
+ *
+ * The table is created from the first page's schema and gains columns with
+ * ALTER TABLE as new fields appear (SQLite types are only affinities, so
+ * later type widening needs no change). Each page is inserted through
+ * prepared statements inside one transaction. `_path` is the primary key and
+ * rows are written with INSERT OR REPLACE, so re-reading a page on resume
+ * never duplicates rows.
+ * @param {string} collectionName - Normalized collection name
+ * @param {{count: number, schema: object}|null} resumeState - Checkpoint from a previous run to continue
+ * @returns {{ filepath: string, count: number, write: function(Array): Promise<void>, checkpoint: function(): Promise<object>, close: function(function): Promise<string>, abort: function(): Promise<void> }}
+ */
+export function createSqliteWriter(collectionName, resumeState = null) {
+    if (!db) {
+        throw new Error('SQLite database not open. Call openSqliteDatabase() first.');
+    }
+
+    const tableName = sanitizeFileName(collectionName);
+    const fullTableName = dialect.qualify(tableName);
+
+    // Merging keeps the table; INSERT OR REPLACE then updates rows by _path
+    if (!resumeState && config.sql.mode !== 'merge') {
+        db.exec(dialect.dropTable(fullTableName, tableName));
+    }
+
+    // Columns that already exist in the table
+    const columns = new Set(
+        db.prepare(`PRAGMA table_info(${dialect.quoteString(tableName)})`).all().map(column => column.name)
+    );
+
+    let mergedSchema = resumeState ? resumeState.schema : {};
+    let count = resumeState ? resumeState.count : 0;
+
+    // Prepared INSERTs by column list
+    const statements = new Map();
+
+    function addColumns(schema) {
+        const columnDef = (field, sqlType) => `${dialect.quoteName(field)} ${sqlType || dialect.types.text}` +
+            (field === '_path' ? ' PRIMARY KEY' : '');
+
+        if (columns.size === 0) {
+            const columnDefs = Object.entries(schema).map(([field, sqlType]) => `    ${columnDef(field, sqlType)}`);
+            db.exec(`CREATE TABLE ${fullTableName} (\n${columnDefs.join(',\n')}\n)`);
+        } else {
+            for (const [field, sqlType] of Object.entries(schema)) {
+                if (!columns.has(field)) {
+                    db.exec(`ALTER TABLE ${fullTableName} ADD COLUMN ${columnDef(field, sqlType)}`);
+                }
+            }
+        }
+
+        for (const field of Object.keys(schema)) {
+            columns.add(field);
+        }
+    }
+
+    function getInsert(fields) {
+        const key = fields.join('\u0000');
+        if (!statements.has(key)) {
+            const columnList = fields.map(dialect.quoteName).join(', ');
+            const placeholders = fields.map(() => '?').join(', ');
+            statements.set(key, db.prepare(`INSERT OR REPLACE INTO ${fullTableName} (${columnList}) VALUES (${placeholders})`));
+        }
+        return statements.get(key);
+    }
+
+    const insertPage = db.transaction((rows) => {
+        addColumns(mergeSchemas(rows.map(row => row.schema), dialect));
+
+        for (const { data } of rows) {
+            const fields = Object.keys(data);
+            getInsert(fields).run(fields.map(field => toSqliteValue(data[field])));
+        }
+    });
+
+    return {
+        filepath: db.name,
+
+        get count() {
+            return count;
+        },
+
+        /**
+         * Insert a page of documents in one transaction
+         * @param {Array<{id: string, data: object, path: string}>} documents
+         */
+        async write(documents) {
+            const rows = documents.map(doc => toSqlRow(doc, dialect));
+            insertPage(rows);
+
+            mergedSchema = mergeSchemas([mergedSchema, ...rows.map(row => row.schema)], dialect);
+            count += rows.length;
+        },
+
+        /**
+         * Describe the table so a later run can continue inserting into it
+         * Every page is committed as soon as it is written
+         * @returns {Promise<{count: number, schema: object}>}
+         */
+        async checkpoint() {
+            return { count, schema: mergedSchema };
+        },
+
+        /**
+         * Report the finished table
+         * @param {function} onProgress - Progress callback
+         * @returns {Promise<string>} Path to the database file
+         */
+        async close(onProgress = console.log) {
+            if (config.logLevel !== 'quiet') {
+                onProgress(`   🗃️  SQLite: ${tableName} (${count} rows, ${columns.size} columns)`);
+            }
+            return db.name;
+        },
+
+        /**
+         * Nothing to release - committed pages stay in the database
+         */
+        async abort() { },
+    };
+}
@@ -1,17 +1,19 @@
 /**
- * Firestore to MS SQL Type Transformers
+ * Firestore to SQL Type Transformers
  * 
- * Converts Firestore-specific data types to SQL Server compatible formats
+ * Converts Firestore-specific data types to SQL compatible formats
+ * (SQL Server types by default, or those of another dialect)
  */
 
 import admin from 'firebase-admin';
+import { defaultDialect } from './dialects.js';
 
 /**
  * Check if a value is a Firestore Bytes/Buffer type
  * @param {any} value 
  * @returns {boolean}
  */
-function isBytes(value) {
+export function isBytes(value) {
     // Check for Firestore Bytes (has toBase64 method)
     if (value && typeof value.toBase64 === 'function') {
         return true;
@@ -32,7 +34,7 @@ function isBytes(value) {
  * @param {any} value 
  * @returns {string}
  */
-function bytesToBase64(value) {
+export function bytesToBase64(value) {
     // Firestore Bytes
     if (value && typeof value.toBase64 === 'function') {
         return value.toBase64();
@@ -52,35 +54,38 @@ function bytesToBase64(value) {
  * Transform a Firestore value to a SQL-compatible value
  * @param {any} value - The Firestore value
  * @param {string} fieldName - Name of the field (for context)
+ * @param {import('./dialects.js').SqlDialect} dialect - SQL dialect to infer types for
  * @returns {{ value: any, sqlType: string }} Transformed value and inferred SQL type
  */
-export function transformValue(value, fieldName = '') {
+export function transformValue(value, fieldName = '', dialect = defaultDialect) {
+    const { types } = dialect;
+
     // Handle null/undefined
     if (value === null || value === undefined) {
-        return { value: null, sqlType: 'NVARCHAR(MAX)' };
+        return { value: null, sqlType: types.null };
     }
 
     // Handle Firestore Bytes / Buffer (MUST be before object check)
     if (isBytes(value)) {
         return {
             value: bytesToBase64(value),
-            sqlType: 'NVARCHAR(MAX)', // Base64 encoded string
+            sqlType: types.bytes, // Base64 encoded string
         };
     }
 
     // Handle Firestore Timestamp
     if (value instanceof admin.firestore.Timestamp) {
         return {
-            value: value.toDate().toISOString(),
-            sqlType: 'DATETIME2',
+            value: dialect.formatTimestamp(value.toDate()),
+            sqlType: types.timestamp,
         };
     }
 
     // Handle JavaScript Date
     if (value instanceof Date) {
         return {
-            value: value.toISOString(),
-            sqlType: 'DATETIME2',
+            value: dialect.formatTimestamp(value),
+            sqlType: types.timestamp,
         };
     }
 
@@ -88,7 +93,7 @@ export function transformValue(value, fieldName = '') {
     if (value instanceof admin.firestore.GeoPoint) {
         return {
             value: { latitude: value.latitude, longitude: value.longitude },
-            sqlType: 'NVARCHAR(100)', // Store as JSON string
+            sqlType: types.geopoint, // Store as JSON string
         };
     }
 
@@ -96,18 +101,18 @@ export function transformValue(value, fieldName = '') {
     if (value instanceof admin.firestore.DocumentReference) {
         return {
             value: value.path,
-            sqlType: 'NVARCHAR(500)',
+            sqlType: types.reference,
         };
     }
 
     // Handle Arrays
     if (Array.isArray(value)) {
         const transformedArray = value.map((item, index) =>
-            transformValue(item, `${fieldName}[${index}]`).value
+            transformValue(item, `${fieldName}[${index}]`, dialect).value
         );
         return {
             value: JSON.stringify(transformedArray),
-            sqlType: 'NVARCHAR(MAX)',
+            sqlType: types.json,
         };
     }
 
@@ -115,19 +120,19 @@ export function transformValue(value, fieldName = '') {
     if (typeof value === 'object' && value !== null) {
         const transformedObject = {};
         for (const [key, val] of Object.entries(value)) {
-            transformedObject[key] = transformValue(val, `${fieldName}.${key}`).value;
+            transformedObject[key] = transformValue(val, `${fieldName}.${key}`, dialect).value;
         }
         return {
             value: JSON.stringify(transformedObject),
-            sqlType: 'NVARCHAR(MAX)',
+            sqlType: types.json,
         };
     }
 
     // Handle Booleans
     if (typeof value === 'boolean') {
         return {
-            value: value ? 1 : 0,
-            sqlType: 'BIT',
+            value: dialect.booleanValue(value),
+            sqlType: types.boolean,
         };
     }
 
@@ -137,34 +142,25 @@ export function transformValue(value, fieldName = '') {
         if (!Number.isFinite(value)) {
             return {
                 value: null,
-                sqlType: 'FLOAT',
+                sqlType: types.float,
             };
         }
 
         if (Number.isInteger(value)) {
-            // Check if it fits in INT range
-            if (value >= -2147483648 && value <= 2147483647) {
-                return { value, sqlType: 'INT' };
-            }
-            return { value, sqlType: 'BIGINT' };
+            return { value, sqlType: types.integer(value) };
         }
-        return { value, sqlType: 'FLOAT' };
+        return { value, sqlType: types.float };
     }
 
     // Handle Strings
     if (typeof value === 'string') {
-        const length = value.length;
-        if (length <= 50) return { value, sqlType: 'NVARCHAR(50)' };
-        if (length <= 255) return { value, sqlType: 'NVARCHAR(255)' };
-        if (length <= 1000) return { value, sqlType: 'NVARCHAR(1000)' };
-        if (length <= 4000) return { value, sqlType: 'NVARCHAR(4000)' };
-        return { value, sqlType: 'NVARCHAR(MAX)' };
+        return { value, sqlType: types.string(value.length) };
     }
 
     // Default fallback
     return {
         value: String(value),
-        sqlType: 'NVARCHAR(MAX)',
+        sqlType: types.text,
     };
 }
 
@@ -173,7 +169,7 @@ export function transformValue(value, fieldName = '') {
  * @param {string} str 
  * @returns {string} 8-character hash
  */
-function shortHash(str) {
+export function shortHash(str) {
     let hash = 0;
     for (let i = 0; i < str.length; i++) {
         const char = str.charCodeAt(i);
@@ -233,20 +229,117 @@ export function extractParentId(path) {
     return null;
 }
 
+/**
+ * Extract the parent document path from a Firestore path
+ * e.g., "users/abc123/orders/order-001" -> "users/abc123"
+ * @param {string} path 
+ * @returns {string|null} Parent path or null if root collection
+ */
+export function extractParentPath(path) {
+    const parts = path.split('/');
+    if (parts.length >= 4) {
+        return parts.slice(0, -2).join('/');
+    }
+    return null;
+}
+
+/**
+ * Extract the ID of every ancestor document from a Firestore path, keyed by
+ * a column named after the ancestor's collection
+ * e.g., "orgs/o1/projects/p1/tickets/t1/comments/c1" ->
+ *       { _orgsId: "o1", _projectsId: "p1", _ticketsId: "t1" }
+ * A collection ID that repeats in the path gets its level appended (_categoriesId2)
+ * @param {string} path 
+ * @returns {Object<string, string>} Ancestor IDs, root first (empty for root collections)
+ */
+export function extractAncestorIds(path) {
+    const parts = path.split('/');
+    const ancestors = {};
+
+    for (let i = 0; i + 2 < parts.length; i += 2) {
+        let column = `_${sanitizeFieldName(parts[i])}Id`;
+        if (column in ancestors) {
+            column += i / 2 + 1;
+        }
+        ancestors[column] = parts[i + 1];
+    }
+
+    return ancestors;
+}
+
+/**
+ * Check if a value is a plain Firestore map (not a Timestamp, GeoPoint, etc.)
+ * @param {any} value 
+ * @returns {boolean}
+ */
+export function isPlainMap(value) {
+    return value !== null &&
+        typeof value === 'object' &&
+        Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Flatten nested maps (and optionally arrays) into prefixed fields
+ * e.g., { address: { city: 'X' } } -> { address_city: 'X' }
+ * Empty maps/arrays and anything deeper than maxDepth are kept as values
+ * @param {object} data - Document data
+ * @param {object} [options]
+ * @param {number} [options.maxDepth] - Levels of nesting to flatten (default: all)
+ * @param {boolean} [options.arrays] - Also flatten arrays into field_0, field_1, ...
+ * @param {string} [options.separator] - Joins parent and child field names
+ * @returns {object} Flattened data
+ */
+export function flattenDocument(data, { maxDepth = Infinity, arrays = false, separator = '_' } = {}) {
+    const flattened = {};
+
+    const visit = (value, field, depth) => {
+        const isMap = isPlainMap(value);
+        const isArray = arrays && Array.isArray(value);
+        const entries = isMap ? Object.entries(value) : isArray ? value.map((item, index) => [String(index), item]) : [];
+
+        if (entries.length === 0 || depth >= maxDepth) {
+            flattened[field] = value;
+            return;
+        }
+
+        for (const [key, child] of entries) {
+            visit(child, `${field}${separator}${key}`, depth + 1);
+        }
+    };
+
+    for (const [field, value] of Object.entries(data)) {
+        visit(value, field, 0);
+    }
+
+    return flattened;
+}
+
 /**
  * Transform an entire Firestore document to SQL-compatible format
  * @param {string} docId - Document ID
  * @param {object} data - Document data
+ * @param {import('./dialects.js').SqlDialect} dialect - SQL dialect to infer types for
  * @returns {{ data: object, schema: object, fieldMapping: object }} Transformed data, schema, and field name mapping
  */
-export function transformDocument(docId, data) {
-    const transformedData = { id: docId };
-    const schema = { id: 'NVARCHAR(255)' };
+export function transformDocument(docId, data, dialect = defaultDialect) {
+    return transformFields(data, dialect, { data: { id: docId }, schema: { id: dialect.types.id } });
+}
+
+/**
+ * Transform the fields of a document (or of a normalized child row) to SQL-compatible format
+ * @param {object} data - Fields to transform
+ * @param {import('./dialects.js').SqlDialect} dialect - SQL dialect to infer types for
+ * @param {{data: object, schema: object}} [initial] - Columns that come first, e.g. the document ID
+ * @returns {{ data: object, schema: object, fieldMapping: object }} Transformed data, schema, and field name mapping
+ */
+export function transformFields(data, dialect = defaultDialect, initial = { data: {}, schema: {} }) {
+    const transformedData = { ...initial.data };
+    const schema = { ...initial.schema };
     const fieldMapping = {}; // original -> sanitized
 
     for (const [field, value] of Object.entries(data)) {
         const sanitizedField = sanitizeFieldName(field);
-        const { value: transformedValue, sqlType } = transformValue(value, field);
+        const { value: transformedValue, sqlType } = transformValue(value, field, dialect);
 
         // Handle duplicate sanitized names by appending a number
         let finalField = sanitizedField;
@@ -267,9 +360,10 @@ export function transformDocument(docId, data) {
 /**
  * Merge multiple schemas to find the most compatible types
  * @param {object[]} schemas - Array of schema objects
+ * @param {import('./dialects.js').SqlDialect} dialect - SQL dialect the types belong to
  * @returns {object} Merged schema with widest types
  */
-export function mergeSchemas(schemas) {
+export function mergeSchemas(schemas, dialect = defaultDialect) {
     const merged = {};
 
     for (const schema of schemas) {
@@ -278,7 +372,7 @@ export function mergeSchemas(schemas) {
                 merged[field] = sqlType;
             } else {
                 // Use the wider type
-                merged[field] = getWiderType(merged[field], sqlType);
+                merged[field] = getWiderType(merged[field], sqlType, dialect);
             }
         }
     }
@@ -288,39 +382,28 @@ export function mergeSchemas(schemas) {
 
 /**
  * Get the wider (more compatible) of two SQL types
+ * Types widen within one of the dialect's categories; mixing categories
+ * (e.g. numeric vs string) falls back to the dialect's text type
  */
-function getWiderType(type1, type2) {
-    const typeHierarchy = [
-        'BIT',
-        'INT',
-        'BIGINT',
-        'FLOAT',
-        'NVARCHAR(50)',
-        'NVARCHAR(100)',
-        'NVARCHAR(255)',
-        'NVARCHAR(500)',
-        'NVARCHAR(1000)',
-        'NVARCHAR(4000)',
-        'NVARCHAR(MAX)',
-        'DATETIME2',
-    ];
-
+function getWiderType(type1, type2, dialect = defaultDialect) {
     // Special cases
     if (type1 === type2) return type1;
-    if (type1 === 'NVARCHAR(MAX)' || type2 === 'NVARCHAR(MAX)') return 'NVARCHAR(MAX)';
+    if (!type1) return type2;
+    if (!type2) return type1;
 
-    const index1 = typeHierarchy.indexOf(type1);
-    const index2 = typeHierarchy.indexOf(type2);
+    const textType = dialect.types.text;
+    if (type1 === textType || type2 === textType) return textType;
 
-    // If types are in different categories (numeric vs string), use NVARCHAR(MAX)
-    const isNumeric1 = ['BIT', 'INT', 'BIGINT', 'FLOAT'].includes(type1);
-    const isNumeric2 = ['BIT', 'INT', 'BIGINT', 'FLOAT'].includes(type2);
+    const category1 = dialect.typeCategories.findIndex(category => category.includes(type1));
+    const category2 = dialect.typeCategories.findIndex(category => category.includes(type2));
 
-    if (isNumeric1 !== isNumeric2) {
-        return 'NVARCHAR(MAX)';
+    // If types are in different categories, use the text type
+    if (category1 !== category2) {
+        return textType;
     }
 
-    return index1 > index2 ? type1 : type2;
+    const category = dialect.typeCategories[category1] || [];
+    return category.indexOf(type1) > category.indexOf(type2) ? type1 : type2;
 }
 
 /**
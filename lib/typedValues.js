@@ -0,0 +1,200 @@
+/**
+ * Type-Tagged JSON Values
+ *
+ * Encodes Firestore values as native JSON, with `$type` markers for the
+ * types JSON cannot represent, so a JSON export is a lossless backup that
+ * the restore command can decode back into Firestore values
+ */
+
+import admin from 'firebase-admin';
+import { isBytes, bytesToBase64 } from './transformers.js';
+
+/**
+ * Encode a number as an integer or double marker
+ *
+ * The SDK returns both Firestore integers and doubles as JS numbers (and
+ * rounds integers above 2^53), so the kind and the exact digits are taken
+ * from the value's protobuf when there is one. Without it, BigInts and whole
+ * numbers are integers and everything else is a double.
+ * @param {number|bigint} value
+ * @param {object} [proto] - Firestore Value protobuf of the number
+ * @returns {{$type: 'integer', value: string}|{$type: 'double', value: number|string}}
+ */
+function encodeNumber(value, proto) {
+    // Field rules can drop array items, so a proto is only used when it holds this number
+    const integer = proto?.integerValue;
+    const double = proto?.doubleValue;
+    if (integer !== undefined && Number(integer) === Number(value)) {
+        return { $type: 'integer', value: String(integer) };
+    }
+    const isDouble = double !== undefined && Object.is(Number(double), Number(value));
+    if (typeof value === 'bigint' || (!isDouble && Number.isInteger(value) && !Object.is(value, -0))) {
+        return { $type: 'integer', value: String(value) };
+    }
+    // JSON has no NaN/Infinity, and writes -0 as 0
+    if (Object.is(value, -0)) {
+        return { $type: 'double', value: '-0' };
+    }
+    return { $type: 'double', value: Number.isFinite(value) ? value : String(value) };
+}
+
+/**
+ * Encode a Firestore value as type-tagged JSON
+ *
+ * Maps and arrays stay nested; strings, booleans and null are written as-is.
+ * Everything else becomes an object with a `$type` marker:
+ *   { "$type": "integer", "value": "9007199254740993" }   (64-bit, as a decimal string)
+ *   { "$type": "double", "value": 2.0 }   (also "NaN", "Infinity", "-Infinity" / "-0")
+ *   { "$type": "timestamp", "seconds": 1700000000, "nanoseconds": 123456000 }
+ *   { "$type": "geopoint", "latitude": 1.5, "longitude": 2.5 }
+ *   { "$type": "reference", "path": "users/abc" }
+ *   { "$type": "bytes", "base64": "AQID" }
+ *   { "$type": "map", "value": { "$type": "..." } }   (maps with a $type field)
+ * @param {any} value - The Firestore value
+ * @param {object} [proto] - Firestore Value protobuf of the value, to tell integers from doubles
+ * @param {object} [options]
+ * @param {boolean} [options.plainNumbers] - Write finite numbers as plain JSON numbers, as before numbers were tagged (for hashes that must not change)
+ * @returns {any} JSON-serializable value
+ */
+export function encodeTypedValue(value, proto = undefined, options = {}) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    if (typeof value === 'number' && options.plainNumbers && Number.isFinite(value)) {
+        return value;
+    }
+    if (typeof value === 'number' || typeof value === 'bigint') {
+        return encodeNumber(value, proto);
+    }
+
+    // Bytes MUST be checked before the object cases
+    if (isBytes(value)) {
+        return { $type: 'bytes', base64: bytesToBase64(value) };
+    }
+
+    if (value instanceof admin.firestore.Timestamp) {
+        return { $type: 'timestamp', seconds: value.seconds, nanoseconds: value.nanoseconds };
+    }
+
+    if (value instanceof Date) {
+        const millis = value.getTime();
+        const seconds = Math.floor(millis / 1000);
+        return { $type: 'timestamp', seconds, nanoseconds: (millis - seconds * 1000) * 1e6 };
+    }
+
+    if (value instanceof admin.firestore.GeoPoint) {
+        return { $type: 'geopoint', latitude: value.latitude, longitude: value.longitude };
+    }
+
+    if (value instanceof admin.firestore.DocumentReference) {
+        return { $type: 'reference', path: value.path };
+    }
+
+    if (Array.isArray(value)) {
+        const items = proto?.arrayValue?.values;
+        return value.map((item, index) => encodeTypedValue(item, items?.[index], options));
+    }
+
+    if (typeof value === 'object') {
+        const fields = proto?.mapValue?.fields;
+        // A map with its own $type field is wrapped so it is not mistaken for a marker
+        return Object.hasOwn(value, '$type')
+            ? { $type: 'map', value: encodeTypedData(value, fields, options) }
+            : encodeTypedData(value, fields, options);
+    }
+
+    return value;
+}
+
+/**
+ * Get the Firestore Value protobufs of a document snapshot's fields
+ *
+ * firebase-admin has no public API for them, so this reads the private
+ * `_fieldsProto` of the snapshot (firebase-admin 12.7 with
+ * @google-cloud/firestore 7.11). Check it when upgrading: if it goes away,
+ * exports fail here instead of writing integers and doubles by guesswork.
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} snapshot
+ * @returns {Object<string, object>} Value protobufs by field
+ */
+export function readFieldProtos(snapshot) {
+    const protos = snapshot._fieldsProto;
+    if (!protos || typeof protos !== 'object') {
+        throw new Error(`Cannot read the field types of ${snapshot.ref.path}: this firebase-admin version has no snapshot._fieldsProto (needed by typed JSON)`);
+    }
+    return protos;
+}
+
+/**
+ * Encode every field of a document (or map) as type-tagged JSON
+ * Field names are kept exactly as they are in Firestore
+ * @param {object} data
+ * @param {Object<string, object>} [protos] - Firestore Value protobufs by field (a snapshot's fields)
+ * @param {{plainNumbers?: boolean}} [options] - See encodeTypedValue
+ * @returns {object}
+ */
+export function encodeTypedData(data, protos = undefined, options = {}) {
+    const encoded = {};
+    for (const [field, value] of Object.entries(data)) {
+        encoded[field] = encodeTypedValue(value, protos?.[field], options);
+    }
+    return encoded;
+}
+
+/**
+ * Decode a type-tagged JSON value back into a Firestore value
+ * Integers beyond 2^53 become BigInts, which the SDK writes as 64-bit
+ * integers. Plain JSON numbers (files written before numbers were tagged)
+ * are returned as they are.
+ * @param {any} value - Value written by encodeTypedValue
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance references are created in
+ * @returns {any} Firestore value
+ */
+export function decodeTypedValue(value, db) {
+    if (Array.isArray(value)) {
+        return value.map(item => decodeTypedValue(item, db));
+    }
+
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+
+    switch (value.$type) {
+        case 'timestamp':
+            return new admin.firestore.Timestamp(value.seconds, value.nanoseconds);
+        case 'geopoint':
+            return new admin.firestore.GeoPoint(value.latitude, value.longitude);
+        case 'reference':
+            return db.doc(value.path);
+        case 'bytes':
+            return Buffer.from(value.base64, 'base64');
+        case 'integer': {
+            const integer = BigInt(value.value);
+            return Number.isSafeInteger(Number(integer)) ? Number(integer) : integer;
+        }
+        case 'double':
+            // A whole double (2.0) comes back as 2, which the SDK writes as an integer:
+            // it has no way to write a whole number as a double
+            return Number(value.value);
+        case 'map':
+            return decodeTypedData(value.value, db);
+        case undefined:
+            return decodeTypedData(value, db);
+        default:
+            throw new Error(`Unknown $type marker: ${value.$type}`);
+    }
+}
+
+/**
+ * Decode every field of a document (or map) written by encodeTypedData
+ * @param {object} data
+ * @param {FirebaseFirestore.Firestore} db
+ * @returns {object}
+ */
+export function decodeTypedData(data, db) {
+    const decoded = {};
+    for (const [field, value] of Object.entries(data)) {
+        decoded[field] = decodeTypedValue(value, db);
+    }
+    return decoded;
+}
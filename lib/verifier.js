@@ -0,0 +1,185 @@
+/**
+ * Export Verifier
+ *
+ * Checks exported JSON files against the live collections: document counts
+ * with count() aggregation queries and, where counts differ or content hashes
+ * are requested, the documents themselves
+ */
+
+import { createHash } from 'crypto';
+import { getFirestore } from './firebase.js';
+import { config } from '../config.js';
+import { collectDocuments, collectionPathOf } from './collector.js';
+import { getCollectionQuery } from './queries.js';
+import { toJsonDocument } from './jsonExporter.js';
+import { createLimiter, mapLimited } from './pool.js';
+import { readExportDocuments, readExportFile } from './exportReader.js';
+
+/**
+ * Hash a document in its JSON export shape
+ * @param {object} jsonDocument
+ * @returns {string} Hex SHA-256
+ */
+function hashDocument(jsonDocument) {
+    return createHash('sha256').update(JSON.stringify(jsonDocument)).digest('hex');
+}
+
+/**
+ * Read the document paths (and optionally content hashes) of an exported JSON file
+ * The file is streamed, so only the paths and hashes are held in memory.
+ * @param {string} filepath
+ * @param {boolean} [hash] - Also hash every document
+ * @returns {Promise<Map<string, string|null>>} Hash (or null) by document path
+ */
+export async function readExportedDocuments(filepath, hash = false) {
+    const documents = new Map();
+    await readExportFile(filepath, (doc) => {
+        documents.set(doc._path, hash ? hashDocument(doc) : null);
+    });
+    return documents;
+}
+
+/**
+ * Iterate over the document paths of an exported JSON file
+ * @param {string} filepath
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* readExportedPaths(filepath) {
+    for await (const doc of readExportDocuments(filepath)) {
+        yield doc._path;
+    }
+}
+
+/**
+ * Count the documents of a collection that an export with these filters reads
+ * @param {FirebaseFirestore.CollectionReference} collectionRef
+ * @param {object|null} filters - Parsed collection query from getCollectionQuery
+ * @returns {Promise<number>}
+ */
+async function countDocuments(collectionRef, filters) {
+    let query = collectionRef;
+
+    if (filters) {
+        for (const { field, op, value } of filters.where) {
+            query = query.where(field, op, value);
+        }
+        // Ordering leaves out documents without the field, as in the export
+        for (const { field, direction } of filters.orderBy) {
+            query = query.orderBy(field, direction);
+        }
+        if (filters.limit !== null) {
+            query = query.limit(filters.limit);
+        }
+    }
+
+    const snapshot = await query.count().get();
+    return snapshot.data().count;
+}
+
+/**
+ * Verify one normalized collection path of an export against Firestore
+ *
+ * Checked are the collections of the exported documents and, for a
+ * subcollection, the one under every exported parent document, so a
+ * subcollection missing from the export entirely is found as well. Each is
+ * counted with a count() aggregation query. Collections whose count differs
+ * from the export - or every collection, with `hash` - are then read page by
+ * page (with the export's filters and field rules) to list the missing and
+ * extra documents and, with `hash`, those whose content differs.
+ * @param {string} normalizedPath - e.g. "users" or "users__orders"
+ * @param {Map<string, string|null>} exported - Exported document paths, with hashes
+ * @param {object} [options]
+ * @param {Iterable<string>|AsyncIterable<string>} [options.parentPaths] - Exported documents of the parent collection path
+ * @param {'sql'|'typed'} [options.mode] - JSON mode of the export, to hash live documents the same way
+ * @param {boolean} [options.hash] - Compare document content hashes
+ * @param {number} [options.concurrency] - Maximum parallel Firestore requests
+ * @param {function} [options.onProgress] - Progress callback
+ * @returns {Promise<{collection: string, collections: number, exported: number, live: number, missing: string[], extra: string[], mismatched: string[]}>}
+ */
+export async function verifyCollection(normalizedPath, exported, options = {}) {
+    const {
+        parentPaths = [],
+        mode = 'sql',
+        hash = false,
+        concurrency = config.concurrency,
+        onProgress = () => { },
+    } = options;
+    const db = getFirestore();
+    const filters = getCollectionQuery(normalizedPath);
+    const collectionId = normalizedPath.split('__').pop();
+
+    // Exported document paths by collection path
+    const byCollection = new Map();
+    const pathsOf = (collectionPath) => {
+        if (!byCollection.has(collectionPath)) {
+            byCollection.set(collectionPath, []);
+        }
+        return byCollection.get(collectionPath);
+    };
+
+    if (!normalizedPath.includes('__')) {
+        pathsOf(normalizedPath);
+    }
+    for await (const parentPath of parentPaths) {
+        pathsOf(`${parentPath}/${collectionId}`);
+    }
+    for (const path of exported.keys()) {
+        pathsOf(collectionPathOf(path)).push(path);
+    }
+
+    const result = {
+        collection: normalizedPath,
+        collections: byCollection.size,
+        exported: exported.size,
+        live: 0,
+        missing: [],
+        extra: [],
+        mismatched: [],
+    };
+
+    let checked = 0;
+    const limit = createLimiter(concurrency);
+
+    await mapLimited([...byCollection], limit, async ([collectionPath, paths]) => {
+        const collectionRef = db.collection(collectionPath);
+        const count = await countDocuments(collectionRef, filters);
+        result.live += count;
+
+        if (hash || count !== paths.length) {
+            const seen = new Set();
+            let cursor = null;
+            let done = false;
+            let remaining = filters && filters.limit !== null ? filters.limit : Infinity;
+
+            while (!done && remaining > 0) {
+                const page = await collectDocuments(collectionRef, cursor, {
+                    filters,
+                    pageSize: Math.min(config.batchSize, remaining),
+                });
+
+                for (const doc of page.documents) {
+                    seen.add(doc.path);
+                    if (!exported.has(doc.path)) {
+                        result.missing.push(doc.path);
+                    } else if (hash && exported.get(doc.path) !== hashDocument(toJsonDocument(doc, mode))) {
+                        result.mismatched.push(doc.path);
+                    }
+                }
+
+                remaining -= page.documents.length;
+                ({ cursor, done } = page);
+            }
+
+            result.extra.push(...paths.filter(path => !seen.has(path)));
+        }
+
+        checked++;
+        onProgress(`Verifying ${normalizedPath}... ${checked.toLocaleString()}/${byCollection.size.toLocaleString()} collections`);
+    });
+
+    result.missing.sort();
+    result.extra.sort();
+    result.mismatched.sort();
+
+    return result;
+}
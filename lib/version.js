@@ -0,0 +1,10 @@
+/**
+ * Tool Version
+ *
+ * The package version, shown by every command's --version and recorded in
+ * the export manifest
+ */
+
+import { readFileSync } from 'fs';
+
+export const VERSION = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Firestore Restore Tool
+ *
+ * Writes exported JSON files back into Firestore, including subcollection
+ * documents, so an export can serve as a backup
+ *
+ * Usage:
+ *   npm run restore                          # Restore all files in output/json
+ *   npm run restore -- --input ./backup/json --collections users
+ *   npm run restore -- --mode merge          # Merge fields into existing documents
+ *   npm run restore -- --dry-run             # Show what would be written
+ *   npm run restore -- --allow-untyped       # Also restore default (non-typed) JSON exports
+ *   npm run restore -- --emulator localhost:8080 --project demo-app
+ */
+
+import { program } from 'commander';
+import { existsSync } from 'fs';
+import { basename } from 'path';
+import { config } from './config.js';
+import { initializeFirebase } from './lib/firebase.js';
+import { findUntypedFiles, listExportFiles, restoreFile } from './lib/restorer.js';
+import { VERSION } from './lib/version.js';
+
+// CLI setup
+program
+    .name('firestore-restore')
+    .description('Restore exported JSON files into Firestore')
+    .version(VERSION)
+    .option('-i, --input <path>', 'Input directory with exported JSON files', config.jsonOutputDir)
+    .option('-c, --collections <names>', 'Comma-separated list of root collections to restore (default: all)', '')
+    .option('-m, --mode <mode>', 'overwrite (replace documents) or merge (update fields)', 'overwrite')
+    .option('--dry-run', 'Read and check every file without writing to Firestore')
+    .option('--allow-untyped', 'Also restore files not exported with --json-mode typed (values are written as they appear in the file)')
+    .option('-k, --key <path>', 'Path to service account key JSON file', config.serviceAccountPath)
+    .option('--emulator <host:port>', 'Restore into a Firestore emulator instead of a real project (no key needed)')
+    .option('--project <id>', 'Target project ID (defaults to the key file project)')
+    .option('--batch-size <n>', 'Documents per batched write (max 500)', String(config.batchSize))
+    .option('--concurrency <n>', 'Maximum batches written in parallel', String(config.concurrency))
+    .option('-q, --quiet', 'Suppress output except errors')
+    .parse();
+
+const options = program.opts();
+
+// Apply CLI options to config
+if (options.quiet) config.logLevel = 'quiet';
+if (options.emulator) config.emulatorHost = options.emulator;
+if (options.project) config.projectId = options.project;
+
+const batchSize = parseInt(options.batchSize, 10);
+const concurrency = parseInt(options.concurrency, 10);
+
+if (!['overwrite', 'merge'].includes(options.mode)) {
+    console.error(`❌ Invalid --mode value: ${options.mode} (expected overwrite or merge)`);
+    process.exit(1);
+}
+if (!Number.isInteger(batchSize) || batchSize < 1 || !Number.isInteger(concurrency) || concurrency < 1) {
+    console.error('❌ --batch-size and --concurrency must be positive integers');
+    process.exit(1);
+}
+
+/**
+ * Main restore function
+ */
+async function main() {
+    const startTime = Date.now();
+    const log = config.logLevel === 'quiet' ? () => { } : console.log;
+
+    log('\n♻️  Firestore Restore Tool\n');
+    log('========================\n');
+
+    if (!existsSync(options.input)) {
+        console.error(`❌ Input directory not found: ${options.input}`);
+        process.exit(1);
+    }
+
+    try {
+        initializeFirebase(options.key);
+
+        const collections = options.collections
+            ? options.collections.split(',').map(c => c.trim()).filter(Boolean)
+            : [];
+
+        const files = listExportFiles(options.input);
+        if (files.length === 0) {
+            log(`⚠️  No JSON files found in: ${options.input}`);
+            return;
+        }
+
+        // Refuse untyped files before anything is written
+        if (!options.allowUntyped) {
+            const untyped = await findUntypedFiles(files);
+            if (untyped.length > 0) {
+                console.error(`❌ Not typed exports (--json-mode typed): ${untyped.map(file => basename(file)).join(', ')}`);
+                console.error('   Their values would be written as they appear in the file (timestamps as strings, maps as JSON text).');
+                console.error('   Export with --json-mode typed, or use --allow-untyped to restore them anyway.');
+                process.exit(1);
+            }
+        }
+
+        log(`📁 Input: ${options.input}`);
+        log(`📄 Files: ${files.length}`);
+        log(`✍️  Mode: ${options.mode}${options.dryRun ? ' (dry run - nothing will be written)' : ''}`);
+        if (collections.length > 0) {
+            log(`📋 Collections: ${collections.join(', ')}`);
+        }
+        log('');
+
+        let totalDocuments = 0;
+        let failedFiles = 0;
+
+        for (const file of files) {
+            try {
+                const result = await restoreFile(file, {
+                    mode: options.mode,
+                    dryRun: options.dryRun,
+                    collections,
+                    batchSize,
+                    concurrency,
+                    allowUntyped: options.allowUntyped,
+                    onProgress: (status) => {
+                        if (config.logLevel !== 'quiet') {
+                            process.stdout.write(`\r   ${status}`.padEnd(60));
+                        }
+                    },
+                });
+
+                if (config.logLevel !== 'quiet') {
+                    process.stdout.write('\r' + ' '.repeat(70) + '\r');
+                }
+
+                if (result.documents === 0) {
+                    continue;
+                }
+
+                const verb = options.dryRun ? 'would be written' : 'written';
+                log(`   ✓ ${basename(file)}: ${result.documents.toLocaleString()} documents ${verb}`);
+                if (!result.typed) {
+                    log('     ⚠️  Not a typed export - values are written as they appear in the file');
+                }
+                totalDocuments += result.documents;
+
+            } catch (error) {
+                failedFiles++;
+                console.error(`   ❌ Error restoring ${basename(file)}: ${error.message}`);
+                if (!config.continueOnError) {
+                    throw error;
+                }
+            }
+        }
+
+        log('\n' + '═'.repeat(60));
+        log(`\n✅ RESTORE ${options.dryRun ? 'DRY RUN ' : ''}COMPLETE\n`);
+        log(`   📄 Documents ${options.dryRun ? 'to write' : 'written'}: ${totalDocuments.toLocaleString()}`);
+        if (failedFiles > 0) {
+            log(`   ❌ Files failed: ${failedFiles}`);
+        }
+        log(`   ⏱️  Total time: ${((Date.now() - startTime) / 1000).toFixed(1)}s\n`);
+
+        if (failedFiles > 0) {
+            process.exit(1);
+        }
+
+    } catch (error) {
+        console.error('\n❌ Restore failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
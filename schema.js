@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Firestore Schema Tool
+ *
+ * Scans (or samples) collections and writes a schema report per normalized
+ * collection path: field presence, observed types and nullability, a JSON
+ * Schema, the inferred SQL columns and TypeScript interfaces
+ *
+ * Usage:
+ *   npm run schema                           # Scan all collections
+ *   npm run schema -- --collections users,projects
+ *   npm run schema -- --sample 1000          # At most 1000 documents per collection path
+ *   npm run schema -- --collection-group orders
+ *   npm run schema -- --output ./models --types-module firebase/firestore
+ *   npm run schema -- --emulator localhost:8080 --project demo-app
+ */
+
+import { program } from 'commander';
+import { config } from './config.js';
+import { initializeFirebase } from './lib/firebase.js';
+import { streamCollections, getRootCollections } from './lib/collector.js';
+import { getDialect } from './lib/dialects.js';
+import { getCollectionQuery } from './lib/queries.js';
+import { getFieldRules } from './lib/fieldRules.js';
+import { VERSION } from './lib/version.js';
+
+// CLI setup
+program
+    .name('firestore-schema')
+    .description('Infer JSON Schema and TypeScript types from Firestore collections')
+    .version(VERSION)
+    .option('-c, --collections <names>', 'Comma-separated list of collections to scan (default: all)', '')
+    .option('-g, --collection-group <ids>', 'Comma-separated collection IDs to scan with collection group queries')
+    .option('-s, --sample <n>', 'Read at most this many documents per collection path (default: all)')
+    .option('-o, --output <path>', 'Output directory for schema reports', config.schemaOutputDir)
+    .option('-d, --dialect <dialect>', 'SQL dialect of the inferred columns: mssql, postgres, mysql or sqlite', config.sql.dialect)
+    .option('--types-module <module>', 'Module the TypeScript interfaces import Firestore types from', config.schema.typesModule)
+    .option('-k, --key <path>', 'Path to service account key JSON file', config.serviceAccountPath)
+    .option('--emulator <host:port>', 'Scan a Firestore emulator instead of a real project (no key needed)')
+    .option('--project <id>', 'Project ID (defaults to the key file project)')
+    .option('--concurrency <n>', 'Maximum parallel Firestore requests', String(config.concurrency))
+    .option('-q, --quiet', 'Suppress output except errors')
+    .parse();
+
+const options = program.opts();
+
+// Apply CLI options to config
+if (options.quiet) config.logLevel = 'quiet';
+if (options.emulator) config.emulatorHost = options.emulator;
+if (options.project) config.projectId = options.project;
+if (options.output) config.schemaOutputDir = options.output;
+if (options.dialect) config.sql.dialect = options.dialect;
+if (options.typesModule) config.schema.typesModule = options.typesModule;
+if (options.sample) {
+    config.schema.sampleSize = parseInt(options.sample, 10);
+    if (!Number.isInteger(config.schema.sampleSize) || config.schema.sampleSize < 1) {
+        console.error(`❌ Invalid --sample value: ${options.sample} (expected a positive integer)`);
+        process.exit(1);
+    }
+}
+config.concurrency = parseInt(options.concurrency, 10);
+if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+    console.error(`❌ Invalid --concurrency value: ${options.concurrency} (expected a positive integer)`);
+    process.exit(1);
+}
+
+// Schemas describe every matching document, not the change set of an incremental export
+config.incremental.watermarkField = null;
+
+/**
+ * Main schema function
+ */
+async function main() {
+    const startTime = Date.now();
+    const log = config.logLevel === 'quiet' ? () => { } : console.log;
+
+    log('\n📐 Firestore Schema Tool\n');
+    log('========================\n');
+
+    try {
+        getDialect(config.sql.dialect);
+        for (const name of Object.keys(config.queries)) {
+            getCollectionQuery(name);
+        }
+        for (const name of Object.keys(config.fieldRules)) {
+            getFieldRules(name);
+        }
+
+        initializeFirebase(options.key);
+
+        const collectionGroups = options.collectionGroup
+            ? options.collectionGroup.split(',').map(c => c.trim()).filter(Boolean)
+            : [];
+        const group = collectionGroups.length > 0;
+
+        if (group && options.collections) {
+            throw new Error('Use either --collections or --collection-group, not both');
+        }
+
+        let collections = group ? collectionGroups
+            : options.collections ? options.collections.split(',').map(c => c.trim()).filter(Boolean)
+                : config.collections;
+        if (collections.length === 0) {
+            collections = await getRootCollections();
+        }
+
+        log(`📋 ${group ? 'Collection groups' : 'Collections'}: ${collections.join(', ')}`);
+        log(`🔎 Documents: ${config.schema.sampleSize ? `up to ${config.schema.sampleSize.toLocaleString()} per collection path` : 'all'}`);
+        log(`📂 Output: ${config.schemaOutputDir}\n`);
+
+        let totalDocuments = 0;
+        let totalReports = 0;
+        let failed = 0;
+
+        for (const collectionName of collections) {
+            try {
+                const result = await streamCollections(
+                    collectionName,
+                    'schema',
+                    (status) => {
+                        if (config.logLevel !== 'quiet') {
+                            process.stdout.write(`\r   ${status}`.padEnd(60));
+                        }
+                    },
+                    { group, sample: config.schema.sampleSize },
+                );
+
+                if (config.logLevel !== 'quiet') {
+                    process.stdout.write('\r' + ' '.repeat(70) + '\r');
+                }
+
+                log(`   ✓ ${collectionName}: ${result.totalDocs.toLocaleString()} documents, ${result.files.schema} schema report(s)`);
+                totalDocuments += result.totalDocs;
+                totalReports += result.files.schema;
+
+            } catch (error) {
+                failed++;
+                console.error(`   ❌ Error reading ${collectionName}: ${error.message}`);
+                if (!config.continueOnError) {
+                    throw error;
+                }
+            }
+        }
+
+        log('\n' + '═'.repeat(60));
+        log('\n✅ SCHEMA COMPLETE\n');
+        log(`   📄 Documents read: ${totalDocuments.toLocaleString()}`);
+        log(`   📐 Schema reports: ${totalReports}`);
+        if (failed > 0) {
+            log(`   ❌ Collections failed: ${failed}`);
+        }
+        log(`   ⏱️  Total time: ${((Date.now() - startTime) / 1000).toFixed(1)}s\n`);
+
+        if (failed > 0) {
+            process.exit(1);
+        }
+
+    } catch (error) {
+        console.error('\n❌ Schema failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
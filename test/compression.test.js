@@ -0,0 +1,108 @@
+/**
+ * Output compression codecs and compressed file reading
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import zlib from 'zlib';
+import {
+    COMPRESSION, getCompression, compressedName, compressionOf, stripCompression,
+    compressContent, readTextFile, createTextReadStream,
+} from '../lib/compression.js';
+
+const hasZstd = typeof zlib.createZstdCompress === 'function';
+const CONTENT = JSON.stringify({ documents: Array.from({ length: 200 }, (_, i) => ({ id: `d${i}`, text: 'é'.repeat(i) })) });
+
+/**
+ * Read a whole stream of strings
+ * @param {import('stream').Readable} stream
+ * @returns {Promise<string>}
+ */
+async function readAll(stream) {
+    let text = '';
+    for await (const chunk of stream) {
+        text += chunk;
+    }
+    return text;
+}
+
+let dir;
+
+before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'firestore-export-test-'));
+});
+
+after(() => {
+    rmSync(dir, { recursive: true, force: true });
+});
+
+describe('getCompression', () => {
+    it('returns null for no compression', () => {
+        assert.equal(getCompression(null), null);
+        assert.equal(getCompression('none'), null);
+        assert.equal(getCompression('gzip'), COMPRESSION.gzip);
+    });
+
+    it('rejects unknown codecs', () => {
+        assert.throws(() => getCompression('lz4'), /Unknown compression: lz4 \(expected gzip, zstd, brotli\)/);
+    });
+
+    it('fails early for zstd on Node.js without it', { skip: hasZstd }, () => {
+        assert.throws(() => getCompression('zstd'), /zstd compression needs Node.js 22.15 or later/);
+    });
+});
+
+describe('file names', () => {
+    it('adds and removes the codec extension', () => {
+        assert.equal(compressedName('users.json', 'gzip'), 'users.json.gz');
+        assert.equal(compressedName('users.sql', 'brotli'), 'users.sql.br');
+        assert.equal(compressedName('users.csv', null), 'users.csv');
+        assert.equal(stripCompression('users.json.zst'), 'users.json');
+        assert.equal(stripCompression('users.json'), 'users.json');
+    });
+
+    it('tells the compression from the extension', () => {
+        assert.equal(compressionOf('out/users.json.gz'), 'gzip');
+        assert.equal(compressionOf('out/users.json.zst'), 'zstd');
+        assert.equal(compressionOf('out/users.json.br'), 'brotli');
+        assert.equal(compressionOf('out/users.json'), null);
+    });
+});
+
+describe('reading compressed files', () => {
+    const codecs = ['gzip', 'brotli', ...(hasZstd ? ['zstd'] : [])];
+
+    for (const name of codecs) {
+        it(`reads back ${name} content whole and streamed`, async () => {
+            const filepath = join(dir, compressedName('data.json', name));
+            writeFileSync(filepath, compressContent(CONTENT, name));
+
+            assert.equal(readTextFile(filepath), CONTENT);
+            assert.equal(await readAll(createTextReadStream(filepath)), CONTENT);
+        });
+    }
+
+    it('reads plain files as they are', async () => {
+        const filepath = join(dir, 'plain.json');
+        writeFileSync(filepath, compressContent(CONTENT, null));
+
+        assert.equal(readTextFile(filepath), CONTENT);
+        assert.equal(await readAll(createTextReadStream(filepath)), CONTENT);
+    });
+
+    it('streams what an unfinished gzip file holds', async () => {
+        const filepath = join(dir, 'unfinished.json.gz');
+        const compress = COMPRESSION.gzip.createCompress();
+        const chunks = [];
+        compress.on('data', chunk => chunks.push(chunk));
+        compress.write(CONTENT);
+        await new Promise(resolve => COMPRESSION.gzip.flush(compress, resolve));
+        writeFileSync(filepath, Buffer.concat(chunks));
+        compress.destroy();
+
+        assert.equal(await readAll(createTextReadStream(filepath)), CONTENT);
+    });
+});
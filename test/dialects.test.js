@@ -0,0 +1,126 @@
+/**
+ * SQL dialect quoting, table limits and merge statements
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDialect, defaultDialect } from '../lib/dialects.js';
+
+const mssql = getDialect('mssql');
+const postgres = getDialect('postgres');
+const mysql = getDialect('mysql');
+const sqlite = getDialect('sqlite');
+
+describe('getDialect', () => {
+    it('looks dialects up by name', () => {
+        assert.equal(postgres.name, 'postgres');
+        assert.equal(defaultDialect, mssql);
+    });
+
+    it('rejects unknown dialects', () => {
+        assert.throws(() => getDialect('oracle'), /Unknown SQL dialect: oracle \(expected one of: mssql, postgres, mysql, sqlite\)/);
+    });
+});
+
+describe('quoting', () => {
+    it('quotes SQL Server names only when needed', () => {
+        assert.equal(mssql.quoteName('age'), 'age');
+        assert.equal(mssql.quoteName('name'), '[name]');
+        assert.equal(mssql.quoteName('2fa'), '[2fa]');
+        assert.equal(mssql.quoteName('a]b'), '[a]]b]');
+    });
+
+    it('always quotes PostgreSQL, MySQL and SQLite names', () => {
+        assert.equal(postgres.quoteName('my"col'), '"my""col"');
+        assert.equal(mysql.quoteName('my`col'), '`my``col`');
+        assert.equal(sqlite.quoteName('col'), '"col"');
+    });
+
+    it('escapes string literals', () => {
+        assert.equal(mssql.quoteString("O'Brien"), "N'O''Brien'");
+        assert.equal(postgres.quoteString("a\\b'c"), "'a\\b''c'");
+        assert.equal(mysql.quoteString("a\\b'c\n"), "'a\\\\b\\'c\\n'");
+    });
+});
+
+describe('keys', () => {
+    it('declares SQL Server primary keys nonclustered so _path fits', () => {
+        assert.equal(mssql.primaryKeyClause, 'PRIMARY KEY NONCLUSTERED');
+        assert.equal(postgres.primaryKeyClause, 'PRIMARY KEY');
+    });
+
+    it('knows which column types can be indexed', () => {
+        assert.equal(mssql.indexable('NVARCHAR(500)'), true);
+        assert.equal(mssql.indexable('NVARCHAR(MAX)'), false);
+        assert.equal(mysql.indexable('VARCHAR(255)'), true);
+        assert.equal(mysql.indexable('TEXT'), false);
+        assert.equal(mysql.indexable('JSON'), false);
+    });
+});
+
+describe('mysql.fitColumns', () => {
+    it('moves the widest columns off-row until the row fits', () => {
+        const schema = { id: 'VARCHAR(255)', _path: 'VARCHAR(500)' };
+        for (let i = 0; i < 60; i++) {
+            schema[`c${i}`] = i < 5 ? 'VARCHAR(500)' : 'VARCHAR(255)';
+        }
+
+        const fitted = mysql.fitColumns(schema);
+
+        assert.equal(fitted.id, 'VARCHAR(255)');
+        assert.equal(fitted._path, 'VARCHAR(500)');
+        assert.equal(fitted.c0, 'TEXT');
+        assert.equal(fitted.c1, 'TEXT');
+        assert.equal(fitted.c2, 'VARCHAR(500)');
+        assert.equal(fitted.c59, 'VARCHAR(255)');
+    });
+
+    it('leaves narrow tables alone', () => {
+        const schema = { id: 'VARCHAR(255)', age: 'INT' };
+        assert.deepEqual(mysql.fitColumns(schema), schema);
+    });
+});
+
+describe('merge.widenColumn', () => {
+    it('alters SQL Server columns of the listed types', () => {
+        const sql = mssql.merge.widenColumn('[dbo].users', 'users', 'age', [{ from: ['BIT', 'INT'], to: 'BIGINT' }]);
+        assert.match(sql, /^IF \(SELECT .* FROM sys\.columns WHERE object_id = OBJECT_ID\(N'\[dbo\]\.users'\) AND name = N'age'\) IN \(N'BIT', N'INT'\)\n/);
+        assert.match(sql, /\n {4}ALTER TABLE \[dbo\]\.users ALTER COLUMN age BIGINT;$/);
+    });
+
+    it('compares PostgreSQL types by the names format_type() gives', () => {
+        const sql = postgres.merge.widenColumn('"users"', 'users', 'age', [
+            { from: ['BIGINT'], to: 'DOUBLE PRECISION' },
+            { from: ['TIMESTAMPTZ'], to: 'TEXT' },
+        ]);
+        assert.match(sql, /IF .* IN \('bigint'\) THEN\n {8}ALTER TABLE "users" ALTER COLUMN "age" TYPE DOUBLE PRECISION USING "age"::DOUBLE PRECISION;/);
+        assert.match(sql, /ELSIF .* IN \('timestamp with time zone'\) THEN/);
+        assert.match(sql, /^DO \$\$ BEGIN\n[\s\S]*\n {4}END IF;\nEND \$\$;$/);
+    });
+
+    it('matches MySQL types with or without a display width', () => {
+        const sql = mysql.merge.widenColumn('`users`', 'users', 'age', [{ from: ['INT'], to: 'BIGINT' }]);
+        assert.match(sql, /WHEN UPPER\(COLUMN_TYPE\) IN \('INT', 'INT\(11\)'\) THEN 'ALTER TABLE `users` MODIFY COLUMN `age` BIGINT'/);
+        assert.match(sql, /\nPREPARE ddl FROM @ddl;\nEXECUTE ddl;\nDEALLOCATE PREPARE ddl;$/);
+    });
+
+    it('is not available for SQLite scripts', () => {
+        assert.equal(sqlite.merge, null);
+    });
+});
+
+describe('merge.upsert', () => {
+    it('merges PostgreSQL rows with INSERT ... ON CONFLICT', () => {
+        const sql = postgres.merge.upsert('"public"."users"', ['id', 'name'], ["('u1', 'Ann')", "('u2', 'Bob')"], { key: 'id', sequence: 1 });
+        assert.equal(sql,
+            'INSERT INTO "public"."users" ("id", "name") VALUES\n' +
+            "    ('u1', 'Ann'),\n    ('u2', 'Bob')\n" +
+            'ON CONFLICT ("id") DO UPDATE SET "name" = EXCLUDED."name";');
+        assert.equal(postgres.merge.keyBeforeRows, true);
+    });
+
+    it('leaves stored PostgreSQL rows alone when only the key is written', () => {
+        const sql = postgres.merge.upsert('"users"', ['id'], ["('u1')"], { key: 'id', sequence: 1 });
+        assert.match(sql, /ON CONFLICT \("id"\) DO NOTHING;$/);
+    });
+});
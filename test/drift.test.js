@@ -0,0 +1,67 @@
+/**
+ * Schema drift between exports
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDialect } from '../lib/dialects.js';
+import { diffSchemas, nextSchema, isDriftGuarded } from '../lib/drift.js';
+
+const mssql = getDialect('mssql');
+const postgres = getDialect('postgres');
+
+describe('diffSchemas', () => {
+    it('finds no changes in an identical schema', () => {
+        const schema = { id: 'NVARCHAR(255)', age: 'INT' };
+        assert.deepEqual(diffSchemas(schema, { ...schema }, mssql), []);
+    });
+
+    it('classifies added, removed, widened, narrowed and changed columns', () => {
+        const previous = { id: 'NVARCHAR(255)', age: 'INT', name: 'NVARCHAR(255)', score: 'INT', gone: 'BIT' };
+        const current = { id: 'NVARCHAR(255)', age: 'BIGINT', name: 'NVARCHAR(50)', score: 'NVARCHAR(MAX)', email: 'NVARCHAR(255)' };
+
+        assert.deepEqual(diffSchemas(previous, current, mssql), [
+            { column: 'age', kind: 'widened', from: 'INT', to: 'BIGINT', breaking: false },
+            { column: 'name', kind: 'narrowed', from: 'NVARCHAR(255)', to: 'NVARCHAR(50)', breaking: false },
+            { column: 'score', kind: 'changed', from: 'INT', to: 'NVARCHAR(MAX)', breaking: true },
+            { column: 'email', kind: 'added', from: null, to: 'NVARCHAR(255)', breaking: false },
+            { column: 'gone', kind: 'removed', from: 'BIT', to: null, breaking: true },
+        ]);
+    });
+
+    it('treats moves between timestamps and text as type changes', () => {
+        assert.deepEqual(diffSchemas({ at: 'DATETIME2' }, { at: 'NVARCHAR(50)' }, mssql).map(change => change.kind), ['changed']);
+        assert.deepEqual(diffSchemas({ at: 'NVARCHAR(MAX)' }, { at: 'DATETIME2' }, mssql).map(change => change.breaking), [true]);
+        assert.deepEqual(diffSchemas({ at: 'TIMESTAMPTZ' }, { at: 'TEXT' }, postgres).map(change => change.kind), ['changed']);
+    });
+
+    it('treats columns that only held nulls as untyped', () => {
+        assert.deepEqual(diffSchemas({ note: null }, { note: 'TEXT' }, postgres).map(change => change.kind), ['widened']);
+        assert.deepEqual(diffSchemas({ note: 'TEXT' }, { note: null }, postgres).map(change => change.kind), ['narrowed']);
+    });
+
+    it('does not report removals for partial exports', () => {
+        assert.deepEqual(diffSchemas({ id: 'TEXT', old: 'TEXT' }, { id: 'TEXT' }, postgres, { partial: true }), []);
+    });
+});
+
+describe('nextSchema', () => {
+    it('replaces the saved schema after a full export', () => {
+        assert.deepEqual(nextSchema({ a: 'INT', b: 'BIT' }, { a: 'BIGINT' }, mssql), { a: 'BIGINT' });
+    });
+
+    it('only widens the saved schema after a partial export', () => {
+        assert.deepEqual(
+            nextSchema({ a: 'BIGINT', b: 'BIT' }, { a: 'INT', c: 'FLOAT' }, mssql, { partial: true }),
+            { a: 'BIGINT', b: 'BIT', c: 'FLOAT' });
+    });
+});
+
+describe('isDriftGuarded', () => {
+    it('guards listed tables, or every table with *', () => {
+        assert.equal(isDriftGuarded('users', ['users']), true);
+        assert.equal(isDriftGuarded('users__orders', ['users']), false);
+        assert.equal(isDriftGuarded('users__orders', ['*']), true);
+        assert.equal(isDriftGuarded('users', []), false);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Field projection and redaction
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { config } from '../config.js';
+import { resolveFieldRules, applyFieldRules } from '../lib/fieldRules.js';
+
+const SALT = 'test-salt';
+const hmac = (text) => createHmac('sha256', SALT).update(text).digest('hex');
+
+// Rules are compiled once per collection, so each test uses its own
+function withRules(normalizedPath, settings) {
+    config.fieldRules[normalizedPath] = settings;
+    return (data) => applyFieldRules(normalizedPath, data);
+}
+
+before(() => {
+    config.redaction.salt = SALT;
+});
+
+describe('resolveFieldRules', () => {
+    it('parses dotted paths and mask settings', () => {
+        assert.deepEqual(resolveFieldRules({
+            include: ['name', 'profile.phone'],
+            mask: { 'profile.phone': { action: 'partial', keepEnd: 2 } },
+        }), {
+            include: [['name'], ['profile', 'phone']],
+            exclude: [],
+            mask: [{ path: ['profile', 'phone'], action: 'partial', keepStart: 0, keepEnd: 2, char: '*' }],
+        });
+    });
+
+    it('rejects empty path segments and unknown actions', () => {
+        assert.throws(() => resolveFieldRules({ exclude: ['profile..phone'] }), /Invalid field path: "profile..phone"/);
+        assert.throws(() => resolveFieldRules({ mask: { email: 'scramble' } }), /Unknown mask action for "email": scramble/);
+    });
+
+    it('needs a salt for hash masks', () => {
+        config.redaction.salt = '';
+        try {
+            assert.throws(() => resolveFieldRules({ mask: { email: 'hash' } }), /Hash mask for "email" needs a salt/);
+        } finally {
+            config.redaction.salt = SALT;
+        }
+    });
+});
+
+describe('applyFieldRules', () => {
+    it('exports collections without rules as they are', () => {
+        const data = { a: 1 };
+        assert.equal(applyFieldRules('no_rules', data), data);
+    });
+
+    it('keeps only included paths, through arrays and * segments', () => {
+        const apply = withRules('include_test', { include: ['name', 'items.sku', 'meta.*.id'] });
+        assert.deepEqual(apply({
+            name: 'Ann',
+            secret: 'x',
+            items: [{ sku: 'A', price: 1 }, { price: 2 }, 'loose'],
+            meta: { a: { id: 1, note: 'n' }, b: { id: 2 } },
+        }), {
+            name: 'Ann',
+            items: [{ sku: 'A' }, {}],
+            meta: { a: { id: 1 }, b: { id: 2 } },
+        });
+    });
+
+    it('removes excluded paths without changing the original', () => {
+        const apply = withRules('exclude_test', { exclude: ['profile.notes', 'tokens'] });
+        const data = { profile: { notes: 'x', city: 'Y' }, tokens: ['t'] };
+        assert.deepEqual(apply(data), { profile: { city: 'Y' } });
+        assert.deepEqual(data, { profile: { notes: 'x', city: 'Y' }, tokens: ['t'] });
+    });
+
+    it('masks values', () => {
+        const apply = withRules('mask_test', {
+            mask: {
+                phone: { action: 'partial', keepEnd: 4 },
+                pin: 'partial',
+                ssn: 'drop',
+                dob: 'null',
+                email: 'hash',
+                tags: 'partial',
+                'contacts.code': { action: 'partial', keepStart: 1, keepEnd: 0, char: '#' },
+            },
+        });
+        assert.deepEqual(apply({
+            phone: '5551234567',
+            pin: 123,
+            ssn: '1',
+            dob: '2000-01-01',
+            email: 'a@b.c',
+            tags: ['abc'],
+            contacts: [{ code: 'abc' }, { code: 'xy' }],
+        }), {
+            phone: '******4567',
+            pin: '***',
+            dob: null,
+            email: hmac('a@b.c'),
+            tags: null,
+            contacts: [{ code: 'a##' }, { code: 'x#' }],
+        });
+    });
+
+    it('hashes non-strings by their JSON, with numbers untagged', () => {
+        const apply = withRules('hash_test', { mask: { n: 'hash', m: 'hash', none: 'hash' } });
+        assert.deepEqual(apply({ n: 5, m: { x: 1 }, none: null }), {
+            n: hmac('5'),
+            m: hmac('{"x":1}'),
+            none: null,
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Streaming output files and resuming them from a checkpoint
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import zlib from 'zlib';
+import { createFileWriter } from '../lib/fileWriter.js';
+
+let dir;
+
+before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'firestore-export-test-'));
+});
+
+after(() => {
+    rmSync(dir, { recursive: true, force: true });
+});
+
+describe('createFileWriter', () => {
+    it('writes chunks and counts their bytes', async () => {
+        const filepath = join(dir, 'nested', 'plain.txt');
+        const file = createFileWriter(filepath);
+        await file.write('héllo ');
+        await file.write(Buffer.from('world'));
+        assert.equal(file.bytesWritten, 12);
+        await file.end();
+
+        assert.equal(readFileSync(filepath, 'utf8'), 'héllo world');
+    });
+
+    it('drops what was written after the checkpoint when resuming', async () => {
+        const filepath = join(dir, 'resume.txt');
+        const first = createFileWriter(filepath);
+        await first.write('kept,');
+        await first.flush();
+        const checkpoint = first.bytesWritten;
+        await first.write('lost');
+        await first.end();
+
+        const resumed = createFileWriter(filepath, { resumeAt: checkpoint });
+        assert.equal(resumed.bytesWritten, checkpoint);
+        await resumed.write('appended');
+        await resumed.end();
+
+        assert.equal(readFileSync(filepath, 'utf8'), 'kept,appended');
+    });
+
+    it('refuses to resume a file shorter than the checkpoint', () => {
+        const filepath = join(dir, 'short.txt');
+        writeFileSync(filepath, 'abc');
+        assert.throws(() => createFileWriter(filepath, { resumeAt: 10 }), /Cannot resume .*short\.txt/);
+        assert.throws(() => createFileWriter(join(dir, 'missing.txt'), { resumeAt: 0 }), /Cannot resume/);
+    });
+
+    it('resumes a compressed file from its uncompressed checkpoint', async () => {
+        const filepath = join(dir, 'resume.txt.gz');
+        const first = createFileWriter(filepath, { compression: 'gzip' });
+        await first.write('kept,');
+        await first.flush();
+        const checkpoint = first.bytesWritten;
+        await first.write('lost');
+        await first.flush();
+        // Left unfinished, as when an export is interrupted
+
+        const resumed = createFileWriter(filepath, { resumeAt: checkpoint, compression: 'gzip' });
+        await resumed.write('appended');
+        await resumed.end();
+        await first.end();
+
+        assert.equal(zlib.gunzipSync(readFileSync(filepath)).toString('utf8'), 'kept,appended');
+        assert.equal(existsSync(`${filepath}.resume`), false);
+    });
+
+    it('reads a compressed file again from .resume after an interrupted resume', async () => {
+        const filepath = join(dir, 'again.txt.gz');
+        writeFileSync(`${filepath}.resume`, zlib.gzipSync('kept,lost'));
+
+        const resumed = createFileWriter(filepath, { resumeAt: 5, compression: 'gzip' });
+        await resumed.write('appended');
+        await resumed.end();
+
+        assert.equal(zlib.gunzipSync(readFileSync(filepath)).toString('utf8'), 'kept,appended');
+        assert.equal(existsSync(`${filepath}.resume`), false);
+    });
+
+    it('reports a compressed file shorter than the checkpoint on the first write', async () => {
+        const filepath = join(dir, 'shortgz.txt.gz');
+        writeFileSync(filepath, zlib.gzipSync('abc'));
+
+        const resumed = createFileWriter(filepath, { resumeAt: 10, compression: 'gzip' });
+        await assert.rejects(resumed.write('x'), /Cannot resume/);
+        assert.equal(existsSync(`${filepath}.resume`), true);
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Export manifest
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { writeManifest } from '../lib/manifest.js';
+
+let dir;
+
+before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'firestore-export-test-'));
+});
+
+after(() => {
+    rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write a manifest for one collection's outputs and read it back
+ * @param {Array<object>} outputs
+ * @returns {Promise<object>}
+ */
+async function manifestFor(outputs) {
+    const filepath = await writeManifest(dir, {
+        tool: { name: 'firestore-export', version: '0.0.0' },
+        projectId: 'demo-test',
+        startedAt: new Date().toISOString(),
+        options: {},
+        collections: { users: { documents: 5, outputs, schemas: {} } },
+        errors: [],
+        dialect: 'postgres',
+    });
+    return JSON.parse(readFileSync(filepath, 'utf8'));
+}
+
+describe('writeManifest', () => {
+    it('hashes every file', async () => {
+        writeFileSync(join(dir, 'users.json'), 'abc');
+        const manifest = await manifestFor([{ type: 'json', collection: 'users', files: [join(dir, 'users.json')], documents: 5 }]);
+
+        assert.equal(manifest.status, 'complete');
+        assert.deepEqual(manifest.files, [{
+            path: 'users.json',
+            format: 'json',
+            documents: 5,
+            bytes: 3,
+            sha256: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+            collections: ['users'],
+        }]);
+    });
+
+    it('lists the documents in each part of a split script', async () => {
+        const files = [join(dir, 'users.part001.sql'), join(dir, 'users.part002.sql')];
+        const manifest = await manifestFor([{ type: 'sql', collection: 'users', files, documents: 5, fileDocuments: [3, 2] }]);
+
+        assert.deepEqual(manifest.files.map(file => [file.path, file.documents]), [['users.part001.sql', 3], ['users.part002.sql', 2]]);
+        assert.equal(manifest.collections.users.paths.users.documents, 5);
+    });
+});
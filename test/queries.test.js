@@ -0,0 +1,83 @@
+/**
+ * Collection query filter parsing
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import admin from 'firebase-admin';
+import { parseWhere, parseOrderBy, resolveQuery } from '../lib/queries.js';
+
+describe('parseWhere', () => {
+    it('types booleans, null and numbers', () => {
+        assert.deepEqual(parseWhere('active == true'), { field: 'active', op: '==', value: true });
+        assert.deepEqual(parseWhere('deletedAt == null'), { field: 'deletedAt', op: '==', value: null });
+        assert.deepEqual(parseWhere('total >= -12.5'), { field: 'total', op: '>=', value: -12.5 });
+    });
+
+    it('keeps quoted values and other text as strings', () => {
+        assert.deepEqual(parseWhere('code == "123"'), { field: 'code', op: '==', value: '123' });
+        assert.deepEqual(parseWhere("status != 'true'"), { field: 'status', op: '!=', value: 'true' });
+        assert.deepEqual(parseWhere('status == in review'), { field: 'status', op: '==', value: 'in review' });
+    });
+
+    it('turns ISO dates into Timestamps', () => {
+        const { value } = parseWhere('createdAt >= 2026-01-01T00:00:00Z');
+        assert.ok(value instanceof admin.firestore.Timestamp);
+        assert.equal(value.toDate().toISOString(), '2026-01-01T00:00:00.000Z');
+    });
+
+    it('splits the values of list operators', () => {
+        assert.deepEqual(parseWhere('tags array-contains-any [a, b, 3]'), { field: 'tags', op: 'array-contains-any', value: ['a', 'b', 3] });
+        assert.deepEqual(parseWhere('status not-in draft,archived'), { field: 'status', op: 'not-in', value: ['draft', 'archived'] });
+    });
+
+    it('takes triples with typed values as they are', () => {
+        assert.deepEqual(parseWhere(['total', '>', 100]), { field: 'total', op: '>', value: 100 });
+        assert.throws(() => parseWhere(['total', '=>', 100]), /Unknown where operator "=>"/);
+    });
+
+    it('rejects clauses it cannot read', () => {
+        assert.throws(() => parseWhere('status active'), /Invalid where clause: "status active"/);
+        assert.throws(() => parseWhere('status = active'), /Invalid where clause/);
+    });
+});
+
+describe('parseOrderBy', () => {
+    it('defaults to ascending', () => {
+        assert.deepEqual(parseOrderBy('createdAt'), { field: 'createdAt', direction: 'asc' });
+        assert.deepEqual(parseOrderBy(' createdAt DESC '), { field: 'createdAt', direction: 'desc' });
+    });
+
+    it('rejects unknown directions and extra words', () => {
+        assert.throws(() => parseOrderBy('createdAt down'), /Invalid order-by: "createdAt down"/);
+        assert.throws(() => parseOrderBy('createdAt asc name'), /Invalid order-by/);
+    });
+});
+
+describe('resolveQuery', () => {
+    it('reads the whole collection without settings', () => {
+        assert.deepEqual(resolveQuery(), { where: [], orderBy: [], limit: null });
+    });
+
+    it('orders inequality filters by their field', () => {
+        const { orderBy } = resolveQuery({ where: ['age > 18', 'age < 65', 'status == active', 'role not-in [a]'] });
+        assert.deepEqual(orderBy, [
+            { field: 'age', direction: 'asc' },
+            { field: 'role', direction: 'asc' },
+        ]);
+    });
+
+    it('keeps an explicit order-by', () => {
+        const { orderBy } = resolveQuery({ where: ['age > 18'], orderBy: ['age desc', 'name'] });
+        assert.deepEqual(orderBy, [
+            { field: 'age', direction: 'desc' },
+            { field: 'name', direction: 'asc' },
+        ]);
+    });
+
+    it('accepts only positive integer limits', () => {
+        assert.equal(resolveQuery({ limit: 10 }).limit, 10);
+        assert.throws(() => resolveQuery({ limit: 0 }), /Invalid limit: 0 \(expected a positive integer\)/);
+        assert.throws(() => resolveQuery({ limit: 2.5 }), /Invalid limit/);
+    });
+});
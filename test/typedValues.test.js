@@ -0,0 +1,142 @@
+/**
+ * Type-tagged JSON encoding and decoding
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import admin from 'firebase-admin';
+import { encodeTypedValue, encodeTypedData, decodeTypedValue, decodeTypedData, readFieldProtos } from '../lib/typedValues.js';
+
+// Only references need a Firestore instance
+const db = { doc: (path) => ({ path }) };
+
+describe('encodeTypedValue', () => {
+    it('tells integers from doubles by the value protobuf', () => {
+        assert.deepEqual(encodeTypedValue(2, { doubleValue: 2 }), { $type: 'double', value: 2 });
+        assert.deepEqual(encodeTypedValue(2, { integerValue: '2' }), { $type: 'integer', value: '2' });
+    });
+
+    it('keeps the exact digits of 64-bit integers', () => {
+        assert.deepEqual(
+            encodeTypedValue(9007199254740992, { integerValue: '9007199254740993' }),
+            { $type: 'integer', value: '9007199254740993' });
+        assert.deepEqual(encodeTypedValue(10n), { $type: 'integer', value: '10' });
+    });
+
+    it('ignores a protobuf that holds another number', () => {
+        assert.deepEqual(encodeTypedValue(7, { doubleValue: 99 }), { $type: 'integer', value: '7' });
+    });
+
+    it('treats whole numbers as integers without a protobuf', () => {
+        assert.deepEqual(encodeTypedValue(3), { $type: 'integer', value: '3' });
+        assert.deepEqual(encodeTypedValue(1.5), { $type: 'double', value: 1.5 });
+    });
+
+    it('writes numbers JSON cannot hold as strings', () => {
+        assert.deepEqual(encodeTypedValue(NaN), { $type: 'double', value: 'NaN' });
+        assert.deepEqual(encodeTypedValue(-Infinity), { $type: 'double', value: '-Infinity' });
+        assert.deepEqual(encodeTypedValue(-0), { $type: 'double', value: '-0' });
+    });
+
+    it('leaves finite numbers plain with plainNumbers', () => {
+        assert.deepEqual(
+            encodeTypedValue({ n: 5, f: Infinity }, undefined, { plainNumbers: true }),
+            { n: 5, f: { $type: 'double', value: 'Infinity' } });
+    });
+
+    it('follows protobufs into arrays and maps', () => {
+        const proto = {
+            arrayValue: { values: [{ doubleValue: 1 }, { mapValue: { fields: { d: { doubleValue: 3 } } } }] },
+        };
+        assert.deepEqual(encodeTypedValue([1, { d: 3 }], proto), [
+            { $type: 'double', value: 1 },
+            { d: { $type: 'double', value: 3 } },
+        ]);
+    });
+
+    it('tags timestamps, geopoints and bytes', () => {
+        assert.deepEqual(
+            encodeTypedValue(new admin.firestore.Timestamp(1700000000, 123456000)),
+            { $type: 'timestamp', seconds: 1700000000, nanoseconds: 123456000 });
+        assert.deepEqual(
+            encodeTypedValue(new admin.firestore.GeoPoint(1.5, 2.5)),
+            { $type: 'geopoint', latitude: 1.5, longitude: 2.5 });
+        assert.deepEqual(encodeTypedValue(Buffer.from([1, 2, 3])), { $type: 'bytes', base64: 'AQID' });
+    });
+
+    it('wraps maps that have their own $type field', () => {
+        assert.deepEqual(
+            encodeTypedValue({ $type: 'user', name: 'Ann' }),
+            { $type: 'map', value: { $type: 'user', name: 'Ann' } });
+    });
+
+    it('writes strings, booleans and null as they are', () => {
+        assert.deepEqual(encodeTypedData({ s: 'x', b: true, n: null }), { s: 'x', b: true, n: null });
+    });
+});
+
+describe('decodeTypedValue', () => {
+    it('returns safe integers as numbers and larger ones as BigInts', () => {
+        assert.equal(decodeTypedValue({ $type: 'integer', value: '42' }, db), 42);
+        assert.equal(decodeTypedValue({ $type: 'integer', value: '9007199254740993' }, db), 9007199254740993n);
+    });
+
+    it('decodes doubles, including those written as strings', () => {
+        assert.equal(decodeTypedValue({ $type: 'double', value: 2 }, db), 2);
+        assert.ok(Object.is(decodeTypedValue({ $type: 'double', value: '-0' }, db), -0));
+        assert.ok(Number.isNaN(decodeTypedValue({ $type: 'double', value: 'NaN' }, db)));
+    });
+
+    it('decodes whole-valued doubles to plain whole numbers', () => {
+        // Restore writes these as integers; the SDK can't write a whole number as a double
+        const decoded = decodeTypedValue({ $type: 'double', value: 1.0 }, db);
+        assert.equal(typeof decoded, 'number');
+        assert.ok(Number.isSafeInteger(decoded));
+    });
+
+    it('keeps plain numbers from files written before numbers were tagged', () => {
+        assert.deepEqual(decodeTypedData({ a: 5, b: 2.5 }, db), { a: 5, b: 2.5 });
+    });
+
+    it('restores Firestore types', () => {
+        const decoded = decodeTypedData({
+            at: { $type: 'timestamp', seconds: 1700000000, nanoseconds: 5 },
+            where: { $type: 'geopoint', latitude: 1.5, longitude: 2.5 },
+            owner: { $type: 'reference', path: 'users/u1' },
+            blob: { $type: 'bytes', base64: 'AQID' },
+            meta: { $type: 'map', value: { $type: 'user' } },
+        }, db);
+
+        assert.ok(decoded.at.isEqual(new admin.firestore.Timestamp(1700000000, 5)));
+        assert.ok(decoded.where.isEqual(new admin.firestore.GeoPoint(1.5, 2.5)));
+        assert.deepEqual(decoded.owner, { path: 'users/u1' });
+        assert.deepEqual(decoded.blob, Buffer.from([1, 2, 3]));
+        assert.deepEqual(decoded.meta, { $type: 'user' });
+    });
+
+    it('round-trips what encodeTypedData wrote', () => {
+        const data = { n: 3, d: 1.5, big: 12345678901234567890n, list: [1, 'a', null], nested: { $type: 'x', v: -0 } };
+        const decoded = decodeTypedData(JSON.parse(JSON.stringify(encodeTypedData(data))), db);
+        assert.deepEqual(decoded, data);
+    });
+
+    it('rejects unknown markers', () => {
+        assert.throws(() => decodeTypedValue({ $type: 'vector' }, db), /Unknown \$type marker: vector/);
+    });
+});
+
+describe('readFieldProtos', () => {
+    it('reads the value protobufs of an SDK snapshot', () => {
+        // Built offline: the snapshot stores the protobufs it was created from
+        const { Firestore, QueryDocumentSnapshot, Timestamp } = admin.firestore;
+        const ref = new Firestore({ projectId: 'demo-test' }).doc('users/u1');
+        const now = Timestamp.now();
+        const snapshot = new QueryDocumentSnapshot(ref, { n: { doubleValue: 2 } }, now, now, now);
+
+        assert.deepEqual(readFieldProtos(snapshot), { n: { doubleValue: 2 } });
+    });
+
+    it('fails when the snapshot has none', () => {
+        assert.throws(() => readFieldProtos({ ref: { path: 'users/u1' } }), /Cannot read the field types of users\/u1/);
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Streaming JSON, SQL and CSV writers: write, checkpoint, resume and close
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import zlib from 'zlib';
+import { config } from '../config.js';
+import { createJsonWriter } from '../lib/jsonExporter.js';
+import { createSqlWriter } from '../lib/sqlExporter.js';
+import { createCsvWriter } from '../lib/csvExporter.js';
+
+const page = (from, to) => Array.from({ length: to - from }, (_, i) => ({
+    id: `u${from + i}`,
+    path: `users/u${from + i}`,
+    data: { name: `User ${from + i}`, age: from + i },
+}));
+
+const saved = { ...config, sql: { ...config.sql } };
+let dir;
+
+before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'firestore-export-test-'));
+    config.logLevel = 'quiet';
+});
+
+beforeEach(() => {
+    config.jsonOutputDir = join(dir, 'json');
+    config.sqlOutputDir = join(dir, 'sql');
+    config.csvOutputDir = join(dir, 'csv');
+    config.compression = null;
+    config.sql = { ...saved.sql, dialect: 'postgres' };
+    rmSync(config.jsonOutputDir, { recursive: true, force: true });
+    rmSync(config.sqlOutputDir, { recursive: true, force: true });
+    rmSync(config.csvOutputDir, { recursive: true, force: true });
+});
+
+after(() => {
+    Object.assign(config, saved);
+    rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write two pages, checkpoint after the first, stop, then resume from the
+ * checkpoint and write a third page before closing
+ * @param {function(string, object|null): object} createWriter
+ * @returns {Promise<string>} Path returned by close()
+ */
+async function interruptAndResume(createWriter) {
+    const first = createWriter('users', null);
+    await first.write(page(0, 3));
+    const checkpoint = await first.checkpoint();
+    await first.write(page(3, 5)); // Lost: written after the checkpoint
+    await first.abort();
+
+    const resumed = createWriter('users', checkpoint);
+    assert.equal(resumed.count, 3);
+    await resumed.write(page(5, 7));
+    return resumed.close();
+}
+
+describe('createJsonWriter', () => {
+    it('writes a JSON file in the shape of a whole-collection export', async () => {
+        const writer = createJsonWriter('users');
+        await writer.write(page(0, 2));
+        const filepath = await writer.close();
+
+        const output = JSON.parse(readFileSync(filepath, 'utf8'));
+        assert.equal(output.collection, 'users');
+        assert.equal(output.count, 2);
+        assert.deepEqual(output.documents.map(doc => doc._path), ['users/u0', 'users/u1']);
+    });
+
+    it('writes an empty documents array when nothing was written', async () => {
+        const output = JSON.parse(readFileSync(await createJsonWriter('users').close(), 'utf8'));
+        assert.deepEqual(output.documents, []);
+        assert.equal(output.count, 0);
+    });
+
+    it('resumes from a checkpoint without the documents written after it', async () => {
+        const filepath = await interruptAndResume(createJsonWriter);
+
+        const output = JSON.parse(readFileSync(filepath, 'utf8'));
+        assert.deepEqual(output.documents.map(doc => doc._id), ['u0', 'u1', 'u2', 'u5', 'u6']);
+        assert.equal(output.count, 5);
+    });
+
+    it('resumes compressed files', async () => {
+        config.compression = 'gzip';
+        const filepath = await interruptAndResume(createJsonWriter);
+
+        assert.ok(filepath.endsWith('users.json.gz'));
+        const output = JSON.parse(zlib.gunzipSync(readFileSync(filepath)).toString('utf8'));
+        assert.deepEqual(output.documents.map(doc => doc._id), ['u0', 'u1', 'u2', 'u5', 'u6']);
+        assert.equal(existsSync(`${filepath}.resume`), false);
+    });
+});
+
+describe('createSqlWriter', () => {
+    it('assembles the script from the table definition and staged inserts', async () => {
+        const writer = createSqlWriter('users');
+        await writer.write(page(0, 2));
+        const filepath = await writer.close();
+
+        const sql = readFileSync(filepath, 'utf8');
+        assert.match(sql, /CREATE TABLE "public"\."users" \(/);
+        assert.match(sql, /"age" BIGINT/);
+        assert.match(sql, /INSERT INTO "public"\."users" .*\n.*'users\/u0'.*\n.*'users\/u1'/);
+        assert.equal(existsSync(join(config.sqlOutputDir, 'users.sql.part')), false);
+    });
+
+    it('resumes from a checkpoint without the rows written after it', async () => {
+        const filepath = await interruptAndResume(createSqlWriter);
+
+        const sql = readFileSync(filepath, 'utf8');
+        const paths = [...sql.matchAll(/'(users\/u\d+)'/g)].map(match => match[1]);
+        assert.deepEqual(paths, ['users/u0', 'users/u1', 'users/u2', 'users/u5', 'users/u6']);
+        assert.match(sql, /-- Document count: 5\n/);
+    });
+
+    it('counts the documents in each part of a split script', async () => {
+        config.sql = { ...config.sql, rowsPerInsert: 1, maxFileSizeMB: 100 / (1024 * 1024) };
+        const writer = createSqlWriter('users');
+        await writer.write(page(0, 3));
+        const checkpoint = await writer.checkpoint();
+        await writer.abort();
+
+        const resumed = createSqlWriter('users', checkpoint);
+        await resumed.write(page(3, 5));
+        await resumed.close();
+
+        assert.ok(resumed.files.length > 1);
+        assert.equal(resumed.fileDocuments.length, resumed.files.length);
+        resumed.files.forEach((file, i) => {
+            const rows = [...readFileSync(file, 'utf8').matchAll(/'users\/u\d+'/g)].length;
+            assert.equal(resumed.fileDocuments[i], rows);
+        });
+        assert.equal(resumed.fileDocuments.reduce((sum, rows) => sum + rows, 0), 5);
+    });
+
+    it('adds the PostgreSQL primary key before merging rows on it', async () => {
+        config.sql = { ...config.sql, mode: 'merge' };
+        const writer = createSqlWriter('users');
+        await writer.write(page(0, 2));
+        const sql = readFileSync(await writer.close(), 'utf8');
+
+        const addKey = 'ADD CONSTRAINT "PK_users" PRIMARY KEY ("id")';
+        const key = sql.indexOf(addKey);
+        assert.ok(key > 0 && key < sql.indexOf('-- Data'));
+        assert.equal(sql.indexOf(addKey, key + 1), -1);
+        assert.match(sql, /ON CONFLICT \("id"\) DO UPDATE SET/);
+        assert.doesNotMatch(sql, /MERGE INTO/);
+    });
+
+    it('keeps the schema merged before the checkpoint', async () => {
+        const first = createSqlWriter('users');
+        await first.write([{ id: 'a', path: 'users/a', data: { score: 1 } }]);
+        const checkpoint = await first.checkpoint();
+        await first.abort();
+
+        const resumed = createSqlWriter('users', checkpoint);
+        await resumed.write([{ id: 'b', path: 'users/b', data: { score: 1.5, extra: 'x' } }]);
+        const sql = readFileSync(await resumed.close(), 'utf8');
+
+        assert.match(sql, /"score" DOUBLE PRECISION/);
+        assert.match(sql, /"extra" TEXT/);
+    });
+});
+
+describe('createCsvWriter', () => {
+    it('adds the parent and ancestor columns of subcollection rows', async () => {
+        const writer = createCsvWriter('orgs__projects__tickets');
+        await writer.write([{ id: 't1', path: 'orgs/o1/projects/p1/tickets/t1', data: { title: 'Bug' } }]);
+        const [header, row] = readFileSync(await writer.close(), 'utf8').trim().split('\r\n');
+
+        const columns = header.split(',');
+        const values = Object.fromEntries(row.split(',').map((value, i) => [columns[i], value]));
+        assert.deepEqual(values, {
+            id: 't1',
+            title: 'Bug',
+            _path: 'orgs/o1/projects/p1/tickets/t1',
+            _parentId: 'p1',
+            _parentPath: 'orgs/o1/projects/p1',
+            _orgsId: 'o1',
+            _projectsId: 'p1',
+        });
+    });
+});
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+/**
+ * Firestore Verify Tool
+ *
+ * Compares exported JSON files with the live collections and reports
+ * documents that are missing from the export, extra (no longer in
+ * Firestore) or, with --hash, different in content. Only the JSON output
+ * is checked; the other formats are written from the same documents.
+ *
+ * Usage:
+ *   npm run verify                           # Check all files in output/json
+ *   npm run verify -- --hash                 # Also compare document content
+ *   npm run verify -- --input ./backup/json --collections users
+ *   npm run verify -- --report verify-report.json
+ *   npm run verify -- --emulator localhost:8080 --project demo-app
+ */
+
+import { program } from 'commander';
+import { existsSync, writeFileSync } from 'fs';
+import { basename } from 'path';
+import { config } from './config.js';
+import { initializeFirebase } from './lib/firebase.js';
+import { listExportFiles } from './lib/restorer.js';
+import { readExportedDocuments, readExportedPaths, verifyCollection } from './lib/verifier.js';
+import { readExportHeader } from './lib/exportReader.js';
+import { getCollectionQuery } from './lib/queries.js';
+import { getFieldRules } from './lib/fieldRules.js';
+import { VERSION } from './lib/version.js';
+
+// Document paths listed per problem in the console (the --report file has all of them)
+const MAX_LISTED = 5;
+
+// CLI setup
+program
+    .name('firestore-verify')
+    .description('Verify exported JSON files against the live Firestore collections')
+    .version(VERSION)
+    .option('-i, --input <path>', 'Input directory with exported JSON files', config.jsonOutputDir)
+    .option('-c, --collections <names>', 'Comma-separated list of root collections to verify (default: all)', '')
+    .option('--hash', 'Also compare the content of every document (reads every document)')
+    .option('--report <file>', 'Write every result, with all document paths, to a JSON file')
+    .option('-w, --where <clause>', 'Filter the verified collections, as given to the export (repeatable)', (value, previous) => previous.concat([value]), [])
+    .option('--limit <n>', 'Documents per collection, as given to the export')
+    .option('-k, --key <path>', 'Path to service account key JSON file', config.serviceAccountPath)
+    .option('--emulator <host:port>', 'Verify against a Firestore emulator instead of a real project (no key needed)')
+    .option('--project <id>', 'Project ID (defaults to the key file project)')
+    .option('--concurrency <n>', 'Maximum parallel Firestore requests', String(config.concurrency))
+    .option('-q, --quiet', 'Suppress output except errors and differences')
+    .parse();
+
+const options = program.opts();
+
+// Apply CLI options to config
+if (options.quiet) config.logLevel = 'quiet';
+if (options.emulator) config.emulatorHost = options.emulator;
+if (options.project) config.projectId = options.project;
+config.concurrency = parseInt(options.concurrency, 10);
+if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+    console.error(`❌ Invalid --concurrency value: ${options.concurrency} (expected a positive integer)`);
+    process.exit(1);
+}
+
+// The export's CLI filters only applied to the collections it was given with -c
+if ((options.where.length > 0 || options.limit) && !options.collections) {
+    console.error('❌ --where and --limit need --collections (the root collections the export applied them to)');
+    process.exit(1);
+}
+
+/**
+ * Print up to MAX_LISTED document paths of one kind of difference
+ * @param {string} label
+ * @param {string[]} paths
+ */
+function printPaths(label, paths) {
+    if (paths.length === 0) return;
+
+    console.log(`      ${label}: ${paths.length.toLocaleString()}`);
+    for (const path of paths.slice(0, MAX_LISTED)) {
+        console.log(`         ${path}`);
+    }
+    if (paths.length > MAX_LISTED) {
+        console.log(`         ... and ${(paths.length - MAX_LISTED).toLocaleString()} more`);
+    }
+}
+
+/**
+ * Main verify function
+ */
+async function main() {
+    const startTime = Date.now();
+    const log = config.logLevel === 'quiet' ? () => { } : console.log;
+
+    log('\n🔍 Firestore Verify Tool\n');
+    log('========================\n');
+
+    if (!existsSync(options.input)) {
+        console.error(`❌ Input directory not found: ${options.input}`);
+        process.exit(1);
+    }
+
+    try {
+        const collections = options.collections
+            ? options.collections.split(',').map(c => c.trim()).filter(Boolean)
+            : [];
+
+        // The export's CLI filters apply to the collections named on the command line
+        const cliQuery = {
+            ...(options.where.length > 0 && { where: options.where }),
+            ...(options.limit && { limit: Number(options.limit) }),
+        };
+        if (Object.keys(cliQuery).length > 0) {
+            for (const name of collections) {
+                config.queries[name] = { ...config.queries[name], ...cliQuery };
+            }
+        }
+        for (const name of Object.keys(config.queries)) {
+            getCollectionQuery(name);
+        }
+        for (const name of Object.keys(config.fieldRules)) {
+            getFieldRules(name);
+        }
+
+        initializeFirebase(options.key);
+
+        // Find the collection path of every file from its header; documents are
+        // read one collection path at a time, so only that path's are held in memory
+        const exports = new Map();
+        for (const file of listExportFiles(options.input)) {
+            try {
+                const header = await readExportHeader(file);
+                if (typeof header.collection !== 'string') {
+                    throw new Error('Not a Firestore export file (no collection name)');
+                }
+                if (collections.length === 0 || collections.includes(header.collection.split('__')[0])) {
+                    exports.set(header.collection, { file, mode: header.mode === 'typed' ? 'typed' : 'sql' });
+                }
+            } catch (error) {
+                console.error(`   ⚠️  Skipping ${basename(file)}: ${error.message}`);
+            }
+        }
+
+        if (exports.size === 0) {
+            log(`⚠️  No exported JSON files to verify in: ${options.input}`);
+            return;
+        }
+
+        log(`📁 Input: ${options.input}`);
+        log(`📋 Collection paths: ${exports.size}`);
+        log(`🔎 Checks: document counts${options.hash ? ' and content hashes' : ''}\n`);
+
+        const results = [];
+        let failed = 0;
+
+        for (const [normalizedPath, { file, mode }] of exports) {
+            try {
+                const documents = await readExportedDocuments(file, options.hash);
+
+                // Subcollections are checked under the exported parent documents, streamed from the parent's file
+                const parentPath = normalizedPath.slice(0, Math.max(normalizedPath.lastIndexOf('__'), 0));
+                const parent = exports.get(parentPath);
+                const result = await verifyCollection(normalizedPath, documents, {
+                    parentPaths: parent ? readExportedPaths(parent.file) : [],
+                    mode,
+                    hash: options.hash,
+                    onProgress: (status) => {
+                        if (config.logLevel !== 'quiet') {
+                            process.stdout.write(`\r   ${status}`.padEnd(60));
+                        }
+                    },
+                });
+
+                if (config.logLevel !== 'quiet') {
+                    process.stdout.write('\r' + ' '.repeat(70) + '\r');
+                }
+
+                results.push(result);
+                const differences = result.missing.length + result.extra.length + result.mismatched.length;
+                const scope = `${result.collections.toLocaleString()} collection${result.collections === 1 ? '' : 's'}`;
+
+                if (differences === 0) {
+                    log(`   ✓ ${normalizedPath}: ${result.exported.toLocaleString()} documents match (${scope})`);
+                    continue;
+                }
+
+                console.log(`   ❌ ${normalizedPath}: ${result.exported.toLocaleString()} exported, ` +
+                    `${result.live.toLocaleString()} in Firestore (${scope})`);
+                printPaths('Missing from the export', result.missing);
+                printPaths('Extra (not in Firestore)', result.extra);
+                printPaths('Content differs', result.mismatched);
+
+            } catch (error) {
+                failed++;
+                console.error(`   ❌ Error verifying ${normalizedPath}: ${error.message}`);
+                if (!config.continueOnError) {
+                    throw error;
+                }
+            }
+        }
+
+        const total = (key) => results.reduce((sum, result) => sum + result[key].length, 0);
+        const differing = results.filter(result => result.missing.length + result.extra.length + result.mismatched.length > 0);
+
+        if (options.report) {
+            writeFileSync(options.report, JSON.stringify({
+                verifiedAt: new Date().toISOString(),
+                input: options.input,
+                hash: Boolean(options.hash),
+                results,
+            }, null, 2), 'utf8');
+        }
+
+        log('\n' + '═'.repeat(60));
+        log(`\n${differing.length === 0 && failed === 0 ? '✅ VERIFY PASSED' : '❌ VERIFY FAILED'}\n`);
+        log(`   📋 Collection paths: ${results.length} checked, ${differing.length} with differences`);
+        log(`   📄 Missing: ${total('missing').toLocaleString()}, extra: ${total('extra').toLocaleString()}` +
+            (options.hash ? `, content differs: ${total('mismatched').toLocaleString()}` : ''));
+        if (failed > 0) {
+            log(`   ❌ Collection paths failed: ${failed}`);
+        }
+        if (options.report) {
+            log(`   📝 Report: ${options.report}`);
+        }
+        log(`   ⏱️  Total time: ${((Date.now() - startTime) / 1000).toFixed(1)}s\n`);
+
+        if (differing.length > 0 || failed > 0) {
+            process.exit(1);
+        }
+
+    } catch (error) {
+        console.error('\n❌ Verify failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();